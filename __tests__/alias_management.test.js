@@ -0,0 +1,245 @@
+const { updateFunctionAlias, getFunctionAlias, getTrafficShiftWeights, waitForTrafficShiftStep } = require('../index');
+const core = require('@actions/core');
+const { GetAliasCommand, CreateAliasCommand, UpdateAliasCommand } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetAliasCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetAliasCommand' })),
+    CreateAliasCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'CreateAliasCommand' })),
+    UpdateAliasCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateAliasCommand' }))
+  };
+});
+
+describe('Alias Management Tests', () => {
+  const aliasArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function:live';
+  let mockSend;
+  let mockLambdaClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.debug = jest.fn();
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should create the alias when it does not exist', async () => {
+    const notFound = new Error('Alias not found');
+    notFound.name = 'ResourceNotFoundException';
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetAliasCommand') {
+        throw notFound;
+      }
+      return { AliasArn: aliasArn, FunctionVersion: '3' };
+    });
+
+    await updateFunctionAlias(mockLambdaClient, {
+      functionName: 'test-function',
+      alias: 'live',
+      aliasDescription: 'Production traffic',
+      functionVersion: '3'
+    });
+
+    expect(CreateAliasCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Name: 'live',
+      FunctionVersion: '3',
+      Description: 'Production traffic'
+    });
+    expect(UpdateAliasCommand).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('alias-arn', aliasArn);
+  });
+
+  test('should update the alias when it already exists', async () => {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetAliasCommand') {
+        return { AliasArn: aliasArn, FunctionVersion: '2' };
+      }
+      return { AliasArn: aliasArn, FunctionVersion: '3' };
+    });
+
+    await updateFunctionAlias(mockLambdaClient, {
+      functionName: 'test-function',
+      alias: 'live',
+      functionVersion: '3'
+    });
+
+    expect(UpdateAliasCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Name: 'live',
+      FunctionVersion: '3',
+      RoutingConfig: { AdditionalVersionWeights: {} }
+    });
+    expect(CreateAliasCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Updating alias live from version 2 to version 3');
+    expect(core.setOutput).toHaveBeenCalledWith('alias-arn', aliasArn);
+  });
+
+  test('should refuse to point the alias at $LATEST', async () => {
+    await expect(updateFunctionAlias(mockLambdaClient, {
+      functionName: 'test-function',
+      alias: 'live',
+      functionVersion: '$LATEST'
+    })).rejects.toThrow('Cannot update alias live: no published version of test-function is available');
+
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('should report permission errors', async () => {
+    const accessError = new Error('not authorized to perform lambda:UpdateAlias');
+    accessError.name = 'AccessDeniedException';
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetAliasCommand') {
+        return { FunctionVersion: '2' };
+      }
+      throw accessError;
+    });
+
+    await expect(updateFunctionAlias(mockLambdaClient, {
+      functionName: 'test-function',
+      alias: 'live',
+      functionVersion: '3'
+    })).rejects.toThrow('not authorized');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed with error: Permissions error: not authorized to perform lambda:UpdateAlias. Check IAM roles.'
+    );
+  });
+
+  test('should propagate unexpected errors when reading an alias', async () => {
+    mockSend.mockRejectedValue(new Error('Network error'));
+
+    await expect(getFunctionAlias(mockLambdaClient, 'test-function', 'live')).rejects.toThrow('Network error');
+    expect(GetAliasCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Name: 'live' });
+  });
+
+  describe('Traffic shifting', () => {
+    let aliasState;
+
+    beforeEach(() => {
+      aliasState = { AliasArn: aliasArn, FunctionVersion: '2' };
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'UpdateAliasCommand') {
+          aliasState = { ...aliasState, ...command.input };
+        }
+        return aliasState;
+      });
+    });
+
+    test('should compute canary and linear weights', () => {
+      expect(getTrafficShiftWeights({ type: 'canary', percentage: 10 })).toEqual([10]);
+      expect(getTrafficShiftWeights({ type: 'linear', percentage: 25 })).toEqual([25, 50, 75]);
+      expect(getTrafficShiftWeights({ type: 'linear', percentage: 30 })).toEqual([30, 60, 90]);
+      expect(getTrafficShiftWeights({ type: 'linear', percentage: 12.5 })).toHaveLength(7);
+    });
+
+    test('should shift a canary weight before the full cutover', async () => {
+      await updateFunctionAlias(mockLambdaClient, {
+        functionName: 'test-function',
+        alias: 'live',
+        functionVersion: '3',
+        trafficShift: { type: 'canary', percentage: 10, intervalSeconds: 0 }
+      });
+
+      const updates = UpdateAliasCommand.mock.calls.map(call => call[0]);
+      expect(updates).toEqual([
+        {
+          FunctionName: 'test-function',
+          Name: 'live',
+          FunctionVersion: '2',
+          RoutingConfig: { AdditionalVersionWeights: { '3': 0.1 } }
+        },
+        {
+          FunctionName: 'test-function',
+          Name: 'live',
+          FunctionVersion: '3',
+          RoutingConfig: { AdditionalVersionWeights: {} }
+        }
+      ]);
+      expect(core.setOutput).toHaveBeenCalledWith('alias-arn', aliasArn);
+    });
+
+    test('should step through linear weights', async () => {
+      await updateFunctionAlias(mockLambdaClient, {
+        functionName: 'test-function',
+        alias: 'live',
+        functionVersion: '3',
+        trafficShift: { type: 'linear', percentage: 25, intervalSeconds: 0 }
+      });
+
+      const weights = UpdateAliasCommand.mock.calls.map(call => call[0].RoutingConfig.AdditionalVersionWeights['3']);
+      expect(weights).toEqual([0.25, 0.5, 0.75, undefined]);
+      expect(core.info).toHaveBeenCalledWith('Traffic shift step 3/3: routing 75% of alias live to version 3');
+    });
+
+    test('should not shift traffic for a new alias', async () => {
+      const notFound = new Error('Alias not found');
+      notFound.name = 'ResourceNotFoundException';
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'GetAliasCommand') {
+          throw notFound;
+        }
+        return { AliasArn: aliasArn };
+      });
+
+      await updateFunctionAlias(mockLambdaClient, {
+        functionName: 'test-function',
+        alias: 'live',
+        functionVersion: '1',
+        trafficShift: { type: 'canary', percentage: 10, intervalSeconds: 300 }
+      });
+
+      expect(UpdateAliasCommand).not.toHaveBeenCalled();
+      expect(CreateAliasCommand).toHaveBeenCalledWith(expect.objectContaining({ FunctionVersion: '1' }));
+    });
+
+    test('should poll the alias while waiting between steps', async () => {
+      jest.useFakeTimers();
+      try {
+        aliasState.RoutingConfig = { AdditionalVersionWeights: { '3': 0.1 } };
+
+        const waitPromise = waitForTrafficShiftStep(mockLambdaClient, {
+          functionName: 'test-function',
+          alias: 'live',
+          toVersion: '3',
+          weight: 0.1,
+          intervalSeconds: 60
+        });
+        await jest.advanceTimersByTimeAsync(60000);
+        await waitPromise;
+
+        expect(GetAliasCommand).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should fail when the alias routing is changed during a step', async () => {
+      jest.useFakeTimers();
+      try {
+        aliasState.RoutingConfig = { AdditionalVersionWeights: {} };
+
+        const waitPromise = waitForTrafficShiftStep(mockLambdaClient, {
+          functionName: 'test-function',
+          alias: 'live',
+          toVersion: '3',
+          weight: 0.1,
+          intervalSeconds: 60
+        });
+        const errorPromise = waitPromise.catch(error => error);
+        await jest.advanceTimersByTimeAsync(30000);
+
+        expect((await errorPromise).message).toBe(
+          'Alias live routing changed during traffic shifting (expected 10% to version 3, found none)'
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
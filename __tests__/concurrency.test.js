@@ -0,0 +1,175 @@
+const { updateReservedConcurrency, updateProvisionedConcurrency, waitForProvisionedConcurrencyReady } = require('../index');
+const core = require('@actions/core');
+const {
+  PutFunctionConcurrencyCommand,
+  DeleteFunctionConcurrencyCommand,
+  PutProvisionedConcurrencyConfigCommand
+} = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetFunctionConcurrencyCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetFunctionConcurrencyCommand' })),
+    PutFunctionConcurrencyCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'PutFunctionConcurrencyCommand' })),
+    DeleteFunctionConcurrencyCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'DeleteFunctionConcurrencyCommand' })),
+    PutProvisionedConcurrencyConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'PutProvisionedConcurrencyConfigCommand' })),
+    GetProvisionedConcurrencyConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetProvisionedConcurrencyConfigCommand' }))
+  };
+});
+
+describe('Concurrency Tests', () => {
+  let mockSend;
+  let mockLambdaClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  describe('Reserved concurrency', () => {
+    test('should set reserved concurrency when it differs', async () => {
+      mockSend.mockResolvedValue({ ReservedConcurrentExecutions: 10 });
+
+      await updateReservedConcurrency(mockLambdaClient, 'test-function', 25);
+
+      expect(PutFunctionConcurrencyCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        ReservedConcurrentExecutions: 25
+      });
+      expect(core.info).toHaveBeenCalledWith('Set reserved concurrency of test-function to 25');
+    });
+
+    test('should skip reserved concurrency that is already set', async () => {
+      mockSend.mockResolvedValue({ ReservedConcurrentExecutions: 25 });
+
+      await updateReservedConcurrency(mockLambdaClient, 'test-function', 25);
+
+      expect(PutFunctionConcurrencyCommand).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Reserved concurrency of test-function is already 25');
+    });
+
+    test('should remove reserved concurrency', async () => {
+      mockSend.mockResolvedValue({ ReservedConcurrentExecutions: 10 });
+
+      await updateReservedConcurrency(mockLambdaClient, 'test-function', null);
+
+      expect(DeleteFunctionConcurrencyCommand).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+    });
+
+    test('should not remove reserved concurrency that is not set', async () => {
+      mockSend.mockResolvedValue({});
+
+      await updateReservedConcurrency(mockLambdaClient, 'test-function', null);
+
+      expect(DeleteFunctionConcurrencyCommand).not.toHaveBeenCalled();
+    });
+
+    test('should report errors', async () => {
+      const limitError = new Error('Specified ReservedConcurrentExecutions decreases account UnreservedConcurrentExecution below its minimum value');
+      limitError.name = 'InvalidParameterValueException';
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'PutFunctionConcurrencyCommand') {
+          throw limitError;
+        }
+        return {};
+      });
+
+      await expect(updateReservedConcurrency(mockLambdaClient, 'test-function', 1000)).rejects.toThrow(limitError.message);
+      expect(core.setFailed).toHaveBeenCalledWith(`Failed to update reserved concurrency: ${limitError.message}`);
+    });
+  });
+
+  describe('Provisioned concurrency', () => {
+    test('should configure provisioned concurrency and wait until it is ready', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'GetProvisionedConcurrencyConfigCommand') {
+          return { Status: 'READY', RequestedProvisionedConcurrentExecutions: 5, AllocatedProvisionedConcurrentExecutions: 5 };
+        }
+        return {};
+      });
+
+      await updateProvisionedConcurrency(mockLambdaClient, {
+        functionName: 'test-function',
+        qualifier: 'live',
+        provisionedConcurrency: 5
+      });
+
+      expect(PutProvisionedConcurrencyConfigCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        Qualifier: 'live',
+        ProvisionedConcurrentExecutions: 5
+      });
+      expect(core.info).toHaveBeenCalledWith('Provisioned concurrency of test-function:live is ready with 5 allocated executions');
+    });
+
+    test('should refuse to configure $LATEST', async () => {
+      await expect(updateProvisionedConcurrency(mockLambdaClient, {
+        functionName: 'test-function',
+        qualifier: '$LATEST',
+        provisionedConcurrency: 5
+      })).rejects.toThrow('Provisioned concurrency requires a published version or alias of test-function');
+
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('should report allocation failures', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'GetProvisionedConcurrencyConfigCommand') {
+          return { Status: 'FAILED', StatusReason: 'Function initialization timed out' };
+        }
+        return {};
+      });
+
+      await expect(updateProvisionedConcurrency(mockLambdaClient, {
+        functionName: 'test-function',
+        qualifier: '4',
+        provisionedConcurrency: 5
+      })).rejects.toThrow('Provisioned concurrency allocation for test-function:4 failed: Function initialization timed out');
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Failed to update provisioned concurrency: Provisioned concurrency allocation for test-function:4 failed: Function initialization timed out'
+      );
+    });
+
+    test('should poll while the allocation is in progress', async () => {
+      jest.useFakeTimers();
+      try {
+        mockSend
+          .mockResolvedValueOnce({ Status: 'IN_PROGRESS', RequestedProvisionedConcurrentExecutions: 5, AllocatedProvisionedConcurrentExecutions: 2 })
+          .mockResolvedValueOnce({ Status: 'READY', RequestedProvisionedConcurrentExecutions: 5, AllocatedProvisionedConcurrentExecutions: 5 });
+
+        const waitPromise = waitForProvisionedConcurrencyReady(mockLambdaClient, 'test-function', 'live', 5, { pollIntervalSeconds: 10 });
+        await jest.advanceTimersByTimeAsync(10000);
+        await waitPromise;
+
+        expect(mockSend).toHaveBeenCalledTimes(2);
+        expect(core.info).toHaveBeenCalledWith('Provisioned concurrency of test-function:live is IN_PROGRESS: 2 of 5 executions allocated');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should time out when the allocation does not finish', async () => {
+      jest.useFakeTimers();
+      try {
+        mockSend.mockResolvedValue({ Status: 'IN_PROGRESS', RequestedProvisionedConcurrentExecutions: 5 });
+
+        const waitPromise = waitForProvisionedConcurrencyReady(mockLambdaClient, 'test-function', 'live', 1);
+        const errorPromise = waitPromise.catch(error => error);
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect((await errorPromise).message).toBe(
+          'Timed out waiting for provisioned concurrency of test-function:live to be ready after 1 minutes'
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { resolveEnvironmentVariables } = require('../index');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+describe('Environment Mode Tests', () => {
+  const currentVariables = { TEAM_SETTING: 'managed-elsewhere', LOG_LEVEL: 'warn', LEGACY_FLAG: 'on' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+  });
+
+  test('should replace the variables by default', () => {
+    expect(resolveEnvironmentVariables(currentVariables, { parsedEnvironment: { LOG_LEVEL: 'info' } }))
+      .toEqual({ LOG_LEVEL: 'info' });
+  });
+
+  test('should leave the variables untouched when no environment is given in replace mode', () => {
+    expect(resolveEnvironmentVariables(currentVariables, { environmentMode: 'replace' })).toBeUndefined();
+  });
+
+  test('should overlay the variables on the deployed ones in merge mode', () => {
+    expect(resolveEnvironmentVariables(currentVariables, {
+      environmentMode: 'merge',
+      parsedEnvironment: { LOG_LEVEL: 'info', NEW_SETTING: 'x' }
+    })).toEqual({
+      TEAM_SETTING: 'managed-elsewhere',
+      LOG_LEVEL: 'info',
+      LEGACY_FLAG: 'on',
+      NEW_SETTING: 'x'
+    });
+    expect(core.info).toHaveBeenCalledWith('Merged 2 environment variables into 3 existing variables');
+  });
+
+  test('should keep the deployed variables in merge mode without an environment input', () => {
+    expect(resolveEnvironmentVariables(currentVariables, { environmentMode: 'merge' })).toEqual(currentVariables);
+    expect(resolveEnvironmentVariables(undefined, { environmentMode: 'merge' })).toEqual({});
+  });
+
+  test('should remove the listed variables in merge-remove mode', () => {
+    expect(resolveEnvironmentVariables(currentVariables, {
+      environmentMode: 'merge-remove',
+      parsedEnvironment: { LOG_LEVEL: 'info' },
+      environmentRemove: ['LEGACY_FLAG', 'NOT_DEPLOYED']
+    })).toEqual({
+      TEAM_SETTING: 'managed-elsewhere',
+      LOG_LEVEL: 'info'
+    });
+    expect(core.info).toHaveBeenCalledWith('Removing environment variable LEGACY_FLAG');
+    expect(core.info).not.toHaveBeenCalledWith('Removing environment variable NOT_DEPLOYED');
+  });
+
+  test('should not modify the deployed variables object', () => {
+    const deployed = { A: '1' };
+    resolveEnvironmentVariables(deployed, { environmentMode: 'merge-remove', parsedEnvironment: { B: '2' }, environmentRemove: ['A'] });
+    expect(deployed).toEqual({ A: '1' });
+  });
+});
@@ -0,0 +1,113 @@
+const { updateEventInvokeConfig, getEventInvokeConfig } = require('../index');
+const core = require('@actions/core');
+const { GetFunctionEventInvokeConfigCommand, PutFunctionEventInvokeConfigCommand } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetFunctionEventInvokeConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetFunctionEventInvokeConfigCommand' })),
+    PutFunctionEventInvokeConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'PutFunctionEventInvokeConfigCommand' }))
+  };
+});
+
+describe('Event Invoke Config Tests', () => {
+  const failureQueueArn = 'arn:aws:sqs:us-east-1:123456789012:failed-events';
+  const successTopicArn = 'arn:aws:sns:us-east-1:123456789012:processed-events';
+  let mockSend;
+  let mockLambdaClient;
+
+  function mockCurrentConfig(currentConfig) {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetFunctionEventInvokeConfigCommand') {
+        if (!currentConfig) {
+          const notFound = new Error('The function does not have an event invoke config');
+          notFound.name = 'ResourceNotFoundException';
+          throw notFound;
+        }
+        return currentConfig;
+      }
+      return { FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:test-function', ...command.input };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should put the configuration when none exists', async () => {
+    mockCurrentConfig(null);
+
+    await updateEventInvokeConfig(mockLambdaClient, 'test-function', {
+      MaximumRetryAttempts: 0,
+      DestinationConfig: { OnFailure: { Destination: failureQueueArn } }
+    });
+
+    expect(PutFunctionEventInvokeConfigCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      MaximumRetryAttempts: 0,
+      DestinationConfig: { OnFailure: { Destination: failureQueueArn } }
+    });
+    expect(core.info).toHaveBeenCalledWith('Updating asynchronous invocation configuration of test-function');
+  });
+
+  test('should not write an unchanged configuration', async () => {
+    mockCurrentConfig({
+      MaximumRetryAttempts: 1,
+      MaximumEventAgeInSeconds: 21600,
+      DestinationConfig: { OnSuccess: { Destination: successTopicArn }, OnFailure: {} }
+    });
+
+    await updateEventInvokeConfig(mockLambdaClient, 'test-function', {
+      MaximumRetryAttempts: 1,
+      DestinationConfig: { OnSuccess: { Destination: successTopicArn } }
+    });
+
+    expect(PutFunctionEventInvokeConfigCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Asynchronous invocation configuration of test-function is up to date');
+  });
+
+  test('should update a drifted configuration on the qualifier', async () => {
+    mockCurrentConfig({
+      MaximumRetryAttempts: 2,
+      MaximumEventAgeInSeconds: 3600,
+      DestinationConfig: { OnSuccess: {}, OnFailure: { Destination: failureQueueArn } }
+    });
+
+    await updateEventInvokeConfig(mockLambdaClient, 'test-function', {
+      MaximumEventAgeInSeconds: 3600,
+      Qualifier: 'live'
+    });
+
+    expect(GetFunctionEventInvokeConfigCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: 'live' });
+    expect(PutFunctionEventInvokeConfigCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Qualifier: 'live',
+      MaximumEventAgeInSeconds: 3600
+    });
+  });
+
+  test('should report errors', async () => {
+    const invalidDestination = new Error('The destination ARN is not valid');
+    invalidDestination.name = 'InvalidParameterValueException';
+    mockSend.mockRejectedValue(invalidDestination);
+
+    await expect(updateEventInvokeConfig(mockLambdaClient, 'test-function', { MaximumRetryAttempts: 0 }))
+      .rejects.toThrow('The destination ARN is not valid');
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to update asynchronous invocation configuration of test-function: The destination ARN is not valid'
+    );
+  });
+
+  test('should propagate unexpected errors when reading the configuration', async () => {
+    mockSend.mockRejectedValue(new Error('Network error'));
+
+    await expect(getEventInvokeConfig(mockLambdaClient, 'test-function')).rejects.toThrow('Network error');
+  });
+});
@@ -0,0 +1,201 @@
+const { updateEventSourceMappings, listEventSourceMappings, getEventSourceMappingChanges } = require('../index');
+const core = require('@actions/core');
+const {
+  ListEventSourceMappingsCommand,
+  CreateEventSourceMappingCommand,
+  UpdateEventSourceMappingCommand,
+  DeleteEventSourceMappingCommand
+} = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    ListEventSourceMappingsCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'ListEventSourceMappingsCommand' })),
+    CreateEventSourceMappingCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'CreateEventSourceMappingCommand' })),
+    UpdateEventSourceMappingCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateEventSourceMappingCommand' })),
+    DeleteEventSourceMappingCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'DeleteEventSourceMappingCommand' }))
+  };
+});
+
+describe('Event Source Mapping Tests', () => {
+  const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function';
+  const queueArn = 'arn:aws:sqs:us-east-1:123456789012:orders';
+  const streamArn = 'arn:aws:kinesis:us-east-1:123456789012:stream/clicks';
+  const tableStreamArn = 'arn:aws:dynamodb:us-east-1:123456789012:table/users/stream/2024-01-01T00:00:00.000';
+  let mockSend;
+  let mockLambdaClient;
+
+  function mockMappings(...pages) {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'ListEventSourceMappingsCommand') {
+        const pageIndex = command.input.Marker ? parseInt(command.input.Marker) : 0;
+        return {
+          EventSourceMappings: pages[pageIndex],
+          ...(pageIndex + 1 < pages.length && { NextMarker: String(pageIndex + 1) })
+        };
+      }
+      return {};
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should create missing mappings', async () => {
+    mockMappings([]);
+
+    const summary = await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      mappings: [{ EventSourceArn: streamArn, BatchSize: 100, StartingPosition: 'LATEST' }]
+    });
+
+    expect(CreateEventSourceMappingCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      EventSourceArn: streamArn,
+      BatchSize: 100,
+      StartingPosition: 'LATEST'
+    });
+    expect(summary).toEqual({ created: 1, updated: 0, deleted: 0, unchanged: 0 });
+  });
+
+  test('should update only the changed settings', async () => {
+    mockMappings([{
+      UUID: 'uuid-1',
+      EventSourceArn: queueArn,
+      FunctionArn: functionArn,
+      State: 'Enabled',
+      BatchSize: 10,
+      MaximumBatchingWindowInSeconds: 0
+    }]);
+
+    await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      mappings: [{
+        EventSourceArn: queueArn,
+        BatchSize: 50,
+        MaximumBatchingWindowInSeconds: 0,
+        Enabled: false,
+        FilterCriteria: { Filters: [{ Pattern: '{"body":{"type":["order"]}}' }] }
+      }]
+    });
+
+    expect(UpdateEventSourceMappingCommand).toHaveBeenCalledWith({
+      UUID: 'uuid-1',
+      Enabled: false,
+      BatchSize: 50,
+      FilterCriteria: { Filters: [{ Pattern: '{"body":{"type":["order"]}}' }] }
+    });
+    expect(core.info).toHaveBeenCalledWith(`Updating Enabled, BatchSize, FilterCriteria of event source mapping uuid-1 for ${queueArn}`);
+  });
+
+  test('should leave up-to-date and unmanaged mappings alone by default', async () => {
+    mockMappings([
+      { UUID: 'uuid-1', EventSourceArn: queueArn, FunctionArn: functionArn, State: 'Enabled', BatchSize: 10 },
+      { UUID: 'uuid-2', EventSourceArn: streamArn, FunctionArn: functionArn, State: 'Enabled', BatchSize: 100 }
+    ]);
+
+    const summary = await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      mappings: [{ EventSourceArn: queueArn, BatchSize: 10, Enabled: true, FilterCriteria: { Filters: [] } }]
+    });
+
+    expect(UpdateEventSourceMappingCommand).not.toHaveBeenCalled();
+    expect(DeleteEventSourceMappingCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(`Leaving unmanaged event source mapping uuid-2 for ${streamArn}`);
+    expect(summary).toEqual({ created: 0, updated: 0, deleted: 0, unchanged: 1 });
+  });
+
+  test('should delete unmanaged mappings when requested', async () => {
+    mockMappings(
+      [{ UUID: 'uuid-1', EventSourceArn: queueArn, FunctionArn: functionArn, State: 'Enabled', BatchSize: 10 }],
+      [{ UUID: 'uuid-2', EventSourceArn: tableStreamArn, FunctionArn: functionArn, State: 'Disabled' }]
+    );
+
+    const summary = await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      mappings: [{ EventSourceArn: queueArn }],
+      deleteUnmanaged: true
+    });
+
+    expect(ListEventSourceMappingsCommand).toHaveBeenCalledTimes(2);
+    expect(DeleteEventSourceMappingCommand).toHaveBeenCalledWith({ UUID: 'uuid-2' });
+    expect(summary.deleted).toBe(1);
+  });
+
+  test('should only manage the mappings of the alias', async () => {
+    mockMappings([
+      { UUID: 'uuid-1', EventSourceArn: queueArn, FunctionArn: `${functionArn}:live` },
+      { UUID: 'uuid-2', EventSourceArn: streamArn, FunctionArn: functionArn }
+    ]);
+
+    const mappings = await listEventSourceMappings(mockLambdaClient, 'test-function:live', 'live');
+
+    expect(ListEventSourceMappingsCommand).toHaveBeenCalledWith({ FunctionName: 'test-function:live' });
+    expect(mappings.map(mapping => mapping.UUID)).toEqual(['uuid-1']);
+  });
+
+  test('should create mappings on the alias', async () => {
+    mockMappings([{ UUID: 'uuid-2', EventSourceArn: queueArn, FunctionArn: functionArn }]);
+
+    await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      qualifier: 'live',
+      mappings: [{ EventSourceArn: queueArn }],
+      deleteUnmanaged: true
+    });
+
+    expect(CreateEventSourceMappingCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function:live',
+      EventSourceArn: queueArn
+    });
+    expect(DeleteEventSourceMappingCommand).not.toHaveBeenCalled();
+  });
+
+  test('should manage the unqualified mappings when the qualifier is empty', async () => {
+    mockMappings([
+      { UUID: 'uuid-1', EventSourceArn: queueArn, FunctionArn: functionArn, State: 'Enabled', BatchSize: 10 },
+      { UUID: 'uuid-2', EventSourceArn: streamArn, FunctionArn: functionArn, State: 'Enabled' },
+      { UUID: 'uuid-3', EventSourceArn: tableStreamArn, FunctionArn: `${functionArn}:live`, State: 'Enabled' }
+    ]);
+
+    const summary = await updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      qualifier: '',
+      mappings: [{ EventSourceArn: queueArn, BatchSize: 10 }],
+      deleteUnmanaged: true
+    });
+
+    expect(ListEventSourceMappingsCommand).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+    expect(CreateEventSourceMappingCommand).not.toHaveBeenCalled();
+    expect(DeleteEventSourceMappingCommand).toHaveBeenCalledTimes(1);
+    expect(DeleteEventSourceMappingCommand).toHaveBeenCalledWith({ UUID: 'uuid-2' });
+    expect(summary).toEqual({ created: 0, updated: 0, deleted: 1, unchanged: 1 });
+  });
+
+  test('should compare enablement against the mapping state', () => {
+    expect(getEventSourceMappingChanges({ State: 'Enabling' }, { Enabled: true })).toEqual({});
+    expect(getEventSourceMappingChanges({ State: 'Disabling' }, { Enabled: true })).toEqual({ Enabled: true });
+    expect(getEventSourceMappingChanges({ State: 'Enabled', BatchSize: 10 }, { StartingPosition: 'LATEST' })).toEqual({});
+  });
+
+  test('should report errors', async () => {
+    const inUse = new Error('The resource is currently in use');
+    inUse.name = 'ResourceInUseException';
+    mockSend.mockRejectedValue(inUse);
+
+    await expect(updateEventSourceMappings(mockLambdaClient, {
+      functionName: 'test-function',
+      mappings: []
+    })).rejects.toThrow('The resource is currently in use');
+
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to update event source mappings of test-function: The resource is currently in use');
+  });
+});
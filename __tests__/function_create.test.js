@@ -496,6 +496,42 @@ describe('Function Creation Tests', () => {
     }
   });
   
+  test('Creates a container image function without handler or runtime', async () => {
+    const mockSend = jest.fn().mockResolvedValue({
+      FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:image-function',
+      Version: '1',
+      State: 'Active'
+    });
+    LambdaClient.mockImplementation(() => ({
+      send: mockSend
+    }));
+
+    const client = new LambdaClient();
+    const inputs = {
+      functionName: 'image-function',
+      role: 'arn:aws:iam::123456789012:role/test-role',
+      imageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-function:latest',
+      imageConfig: '{"Command":["app.handler"]}',
+      parsedImageConfig: { Command: ['app.handler'] },
+      s3Bucket: 'ignored-bucket',
+      parsedEnvironment: {}
+    };
+
+    await index.createFunction(client, inputs, false);
+
+    expect(fs.readFile).not.toHaveBeenCalled();
+    const createInput = CreateFunctionCommand.mock.calls[0][0];
+    expect(createInput).toEqual(expect.objectContaining({
+      FunctionName: 'image-function',
+      PackageType: 'Image',
+      Code: { ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-function:latest' },
+      ImageConfig: { Command: ['app.handler'] }
+    }));
+    expect(createInput).not.toHaveProperty('Handler');
+    expect(createInput).not.toHaveProperty('Runtime');
+    expect(core.setOutput).toHaveBeenCalledWith('function-arn', 'arn:aws:lambda:us-east-1:123456789012:function:image-function');
+  });
+
   test('Skips function creation when function already exists', async () => {
     jest.setTimeout(1000);
     
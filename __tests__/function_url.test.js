@@ -0,0 +1,154 @@
+const { updateFunctionUrlConfig, getFunctionUrlConfig } = require('../index');
+const core = require('@actions/core');
+const {
+  GetFunctionUrlConfigCommand,
+  CreateFunctionUrlConfigCommand,
+  UpdateFunctionUrlConfigCommand,
+  DeleteFunctionUrlConfigCommand
+} = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetFunctionUrlConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetFunctionUrlConfigCommand' })),
+    CreateFunctionUrlConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'CreateFunctionUrlConfigCommand' })),
+    UpdateFunctionUrlConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateFunctionUrlConfigCommand' })),
+    DeleteFunctionUrlConfigCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'DeleteFunctionUrlConfigCommand' }))
+  };
+});
+
+describe('Function URL Tests', () => {
+  const functionUrl = 'https://abcdefg.lambda-url.us-east-1.on.aws/';
+  let mockSend;
+  let mockLambdaClient;
+  let notFound;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.debug = jest.fn();
+
+    notFound = new Error('The resource you requested does not exist.');
+    notFound.name = 'ResourceNotFoundException';
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should create a function URL when none exists', async () => {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetFunctionUrlConfigCommand') {
+        throw notFound;
+      }
+      return { FunctionUrl: functionUrl };
+    });
+
+    await updateFunctionUrlConfig(mockLambdaClient, 'test-function', {
+      AuthType: 'NONE',
+      Cors: { AllowOrigins: ['https://example.com'] }
+    });
+
+    expect(CreateFunctionUrlConfigCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      AuthType: 'NONE',
+      Cors: { AllowOrigins: ['https://example.com'] },
+      InvokeMode: 'BUFFERED'
+    });
+    expect(core.setOutput).toHaveBeenCalledWith('function-url', functionUrl);
+  });
+
+  test('should leave an up-to-date function URL alone', async () => {
+    mockSend.mockResolvedValue({
+      FunctionUrl: functionUrl,
+      AuthType: 'AWS_IAM',
+      InvokeMode: 'BUFFERED'
+    });
+
+    await updateFunctionUrlConfig(mockLambdaClient, 'test-function', { AuthType: 'AWS_IAM' });
+
+    expect(CreateFunctionUrlConfigCommand).not.toHaveBeenCalled();
+    expect(UpdateFunctionUrlConfigCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Function URL of test-function is up to date');
+    expect(core.setOutput).toHaveBeenCalledWith('function-url', functionUrl);
+  });
+
+  test('should update a function URL that has drifted', async () => {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetFunctionUrlConfigCommand') {
+        return {
+          FunctionUrl: functionUrl,
+          AuthType: 'NONE',
+          Cors: { AllowOrigins: ['*'] },
+          InvokeMode: 'BUFFERED'
+        };
+      }
+      return { FunctionUrl: functionUrl };
+    });
+
+    await updateFunctionUrlConfig(mockLambdaClient, 'test-function', {
+      AuthType: 'NONE',
+      InvokeMode: 'RESPONSE_STREAM',
+      Qualifier: 'live'
+    });
+
+    expect(GetFunctionUrlConfigCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: 'live' });
+    expect(UpdateFunctionUrlConfigCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Qualifier: 'live',
+      AuthType: 'NONE',
+      Cors: {},
+      InvokeMode: 'RESPONSE_STREAM'
+    });
+  });
+
+  test('should delete the function URL', async () => {
+    mockSend.mockResolvedValue({ FunctionUrl: functionUrl, AuthType: 'NONE' });
+
+    await expect(updateFunctionUrlConfig(mockLambdaClient, 'test-function', null)).resolves.toBeNull();
+
+    expect(DeleteFunctionUrlConfigCommand).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+    expect(core.setOutput).not.toHaveBeenCalled();
+  });
+
+  test('should delete the function URL of an alias', async () => {
+    mockSend.mockResolvedValue({ FunctionUrl: functionUrl, AuthType: 'NONE' });
+
+    await expect(updateFunctionUrlConfig(mockLambdaClient, 'test-function', { Qualifier: 'live', Remove: true }))
+      .resolves.toBeNull();
+
+    expect(mockSend.mock.calls.map(([command]) => command.input)).toEqual([
+      { FunctionName: 'test-function', Qualifier: 'live' },
+      { FunctionName: 'test-function', Qualifier: 'live' }
+    ]);
+    expect(DeleteFunctionUrlConfigCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: 'live' });
+    expect(core.info).toHaveBeenCalledWith(`Removed function URL ${functionUrl} of test-function:live`);
+  });
+
+  test('should not delete a function URL that does not exist', async () => {
+    mockSend.mockRejectedValue(notFound);
+
+    await updateFunctionUrlConfig(mockLambdaClient, 'test-function', null);
+
+    expect(DeleteFunctionUrlConfigCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Function test-function has no function URL');
+  });
+
+  test('should report errors', async () => {
+    const conflict = new Error('Qualifier live does not exist');
+    conflict.name = 'InvalidParameterValueException';
+    mockSend.mockRejectedValue(conflict);
+
+    await expect(updateFunctionUrlConfig(mockLambdaClient, 'test-function', { AuthType: 'NONE', Qualifier: 'live' }))
+      .rejects.toThrow('Qualifier live does not exist');
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to update function URL of test-function:live: Qualifier live does not exist');
+  });
+
+  test('should propagate unexpected errors when reading the function URL', async () => {
+    mockSend.mockRejectedValue(new Error('Network error'));
+
+    await expect(getFunctionUrlConfig(mockLambdaClient, 'test-function')).rejects.toThrow('Network error');
+  });
+});
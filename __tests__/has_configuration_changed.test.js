@@ -1,5 +1,5 @@
 const core = require('@actions/core');
-const { isEmptyValue, cleanNullKeys, hasConfigurationChanged, deepEqual } = require('../index');
+const { isEmptyValue, cleanNullKeys, hasConfigurationChanged, deepEqual, normalizeConfiguration } = require('../index');
 
 jest.mock('@actions/core');
 
@@ -445,4 +445,148 @@ describe('Has Configuration Changed Tests', () => {
       falseValue: false
     });
   });
+
+  test('should report nested differences field by field', async () => {
+    const current = {
+      VpcConfig: { SubnetIds: ['subnet-123', 'subnet-456'], SecurityGroupIds: ['sg-123'] },
+      LoggingConfig: { LogFormat: 'Text', LogGroup: '/aws/lambda/test-function' },
+      Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:layer1:1']
+    };
+    const updated = {
+      VpcConfig: { SubnetIds: ['subnet-123', 'subnet-789'], SecurityGroupIds: ['sg-123'] },
+      LoggingConfig: { LogFormat: 'JSON', LogGroup: '/aws/lambda/test-function' },
+      Layers: [
+        'arn:aws:lambda:us-east-1:123456789012:layer:layer1:2',
+        'arn:aws:lambda:us-east-1:123456789012:layer:layer2:1'
+      ]
+    };
+
+    const result = await hasConfigurationChanged(current, updated);
+
+    expect(result).toBe(true);
+    expect(core.setOutput).toHaveBeenCalledWith('config-diff', JSON.stringify([
+      { field: 'VpcConfig.SubnetIds[1]', current: 'subnet-456', desired: 'subnet-789' },
+      { field: 'LoggingConfig.LogFormat', current: 'Text', desired: 'JSON' },
+      {
+        field: 'Layers[0]',
+        current: 'arn:aws:lambda:us-east-1:123456789012:layer:layer1:1',
+        desired: 'arn:aws:lambda:us-east-1:123456789012:layer:layer1:2'
+      },
+      { field: 'Layers[1]', current: null, desired: 'arn:aws:lambda:us-east-1:123456789012:layer:layer2:1' }
+    ]));
+    expect(core.startGroup).toHaveBeenCalledWith('Configuration differences (4)');
+    expect(core.info).toHaveBeenCalledWith('Configuration difference detected in LoggingConfig.LogFormat: "Text" -> "JSON"');
+    expect(core.endGroup).toHaveBeenCalled();
+  });
+
+  test('should mask environment variable values in the diff', async () => {
+    const current = { Environment: { Variables: { API_KEY: 'old-secret', DEBUG: 'true' } } };
+    const updated = { Environment: { Variables: { API_KEY: 'new-secret', DEBUG: 'true' } } };
+
+    await hasConfigurationChanged(current, updated);
+
+    expect(core.setOutput).toHaveBeenCalledWith('config-diff', JSON.stringify([
+      { field: 'Environment.Variables.API_KEY', current: '***', desired: '***' }
+    ]));
+    expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('secret'));
+  });
+
+  test('should detect the removal of the last environment variable', async () => {
+    const result = await hasConfigurationChanged(
+      { Environment: { Variables: { A: '1' } } },
+      { Environment: { Variables: {} } }
+    );
+
+    expect(result).toBe(true);
+    expect(core.setOutput).toHaveBeenCalledWith('config-diff', JSON.stringify([
+      { field: 'Environment.Variables.A', current: '***', desired: null }
+    ]));
+  });
+
+  test('should treat an unchanged empty environment variable as unchanged', async () => {
+    const config = { Environment: { Variables: { A: '', B: '2' } } };
+
+    const result = await hasConfigurationChanged(config, { Environment: { Variables: { A: '', B: '2' } } });
+
+    expect(result).toBe(false);
+    expect(core.setOutput).toHaveBeenCalledWith('config-diff', '[]');
+  });
+
+  test('should output an empty diff when nothing changed', async () => {
+    await hasConfigurationChanged({ Timeout: 30 }, { Timeout: 30 });
+
+    expect(core.setOutput).toHaveBeenCalledWith('config-diff', '[]');
+    expect(core.startGroup).not.toHaveBeenCalled();
+  });
+
+  describe('Response normalization', () => {
+    const response = {
+      FunctionName: 'test-function',
+      Layers: [
+        { Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer1:1', CodeSize: 1024 },
+        { Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:layer2:3', CodeSize: 2048 }
+      ],
+      VpcConfig: {
+        SubnetIds: ['subnet-456', 'subnet-123'],
+        SecurityGroupIds: ['sg-123'],
+        VpcId: 'vpc-123',
+        Ipv6AllowedForDualStack: false
+      },
+      LoggingConfig: {
+        LogFormat: 'JSON',
+        ApplicationLogLevel: 'INFO',
+        SystemLogLevel: 'INFO',
+        LogGroup: '/aws/lambda/test-function'
+      },
+      ImageConfigResponse: {
+        ImageConfig: { Command: ['app.handler'] }
+      },
+      SnapStart: { ApplyOn: 'None', OptimizationStatus: 'Off' }
+    };
+    const inputs = {
+      Layers: [
+        'arn:aws:lambda:us-east-1:123456789012:layer:layer1:1',
+        'arn:aws:lambda:us-east-1:123456789012:layer:layer2:3'
+      ],
+      VpcConfig: { SubnetIds: ['subnet-123', 'subnet-456'], SecurityGroupIds: ['sg-123'] },
+      LoggingConfig: { LogFormat: 'JSON' },
+      ImageConfig: { Command: ['app.handler'] },
+      SnapStart: { ApplyOn: 'None' }
+    };
+
+    test('should recognize an unchanged configuration', async () => {
+      const result = await hasConfigurationChanged(response, inputs);
+
+      expect(result).toBe(false);
+      expect(core.info).not.toHaveBeenCalled();
+    });
+
+    test('should still detect changes after normalization', async () => {
+      const result = await hasConfigurationChanged(response, {
+        ...inputs,
+        Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:layer1:1'],
+        VpcConfig: { ...inputs.VpcConfig, Ipv6AllowedForDualStack: true },
+        LoggingConfig: { LogFormat: 'JSON', ApplicationLogLevel: 'DEBUG' },
+        ImageConfig: { Command: ['app.other'] }
+      });
+
+      expect(result).toBe(true);
+      expect(JSON.parse(core.setOutput.mock.calls[0][1])).toEqual([
+        { field: 'Layers[1]', current: 'arn:aws:lambda:us-east-1:123456789012:layer:layer2:3', desired: null },
+        { field: 'VpcConfig.Ipv6AllowedForDualStack', current: false, desired: true },
+        { field: 'LoggingConfig.ApplicationLogLevel', current: 'INFO', desired: 'DEBUG' },
+        { field: 'ImageConfig.Command[0]', current: 'app.handler', desired: 'app.other' }
+      ]);
+    });
+
+    test('should bring response fields into the input shape', () => {
+      expect(normalizeConfiguration(response, inputs)).toEqual(expect.objectContaining({
+        Layers: inputs.Layers,
+        VpcConfig: { SubnetIds: ['subnet-123', 'subnet-456'], SecurityGroupIds: ['sg-123'] },
+        LoggingConfig: { LogFormat: 'JSON' },
+        ImageConfig: { Command: ['app.handler'] },
+        SnapStart: { ApplyOn: 'None' }
+      }));
+    });
+  });
 });
\ No newline at end of file
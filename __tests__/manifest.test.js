@@ -0,0 +1,145 @@
+const { run, mapWithConcurrency } = require('../index');
+const core = require('@actions/core');
+const fs = require('fs');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  const command = (type) => jest.fn().mockImplementation((params) => ({ input: params, type }));
+  return {
+    LambdaClient: jest.fn(),
+    GetFunctionConfigurationCommand: command('GetFunctionConfigurationCommand'),
+    UpdateFunctionConfigurationCommand: command('UpdateFunctionConfigurationCommand'),
+    UpdateFunctionCodeCommand: command('UpdateFunctionCodeCommand'),
+    waitUntilFunctionUpdated: jest.fn().mockResolvedValue({}),
+    waitUntilPublishedVersionActive: jest.fn().mockResolvedValue({})
+  };
+});
+
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+describe('Manifest Deployment Tests', () => {
+  const imageUri = '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:latest';
+  let actionInputs;
+  let mockSend;
+
+  function functionArn(functionName) {
+    return `arn:aws:lambda:us-east-1:123456789012:function:${functionName}`;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.debug = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.setSecret = jest.fn();
+    core.getBooleanInput = jest.fn().mockReturnValue(false);
+    core.getInput = jest.fn().mockImplementation((name) => actionInputs[name] || '');
+    process.cwd = jest.fn().mockReturnValue('/workspace');
+
+    actionInputs = {
+      manifest: 'lambda-manifest.yml',
+      role: 'arn:aws:iam::123456789012:role/lambda-role'
+    };
+    jest.spyOn(fs, 'readFileSync').mockReturnValue([
+      'functions:',
+      '  - function-name: orders',
+      `    image-uri: ${imageUri}`,
+      '    memory-size: 512',
+      '  - function-name: billing',
+      `    image-uri: ${imageUri}`,
+      '    environment:',
+      '      TABLE: invoices'
+    ].join('\n'));
+
+    mockSend = jest.fn().mockImplementation(async (command) => {
+      const functionName = command.input.FunctionName;
+      if (command.type === 'UpdateFunctionCodeCommand') {
+        return { FunctionArn: functionArn(functionName), Version: '$LATEST' };
+      }
+      return { FunctionArn: functionArn(functionName), PackageType: 'Image', State: 'Active', LastUpdateStatus: 'Successful' };
+    });
+    LambdaClient.mockImplementation(() => ({ send: mockSend }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should deploy every function with the action inputs as defaults', async () => {
+    await run();
+
+    const configUpdates = mockSend.mock.calls
+      .map(([command]) => command)
+      .filter(command => command.type === 'UpdateFunctionConfigurationCommand')
+      .map(command => command.input);
+    expect(configUpdates).toEqual(expect.arrayContaining([
+      expect.objectContaining({ FunctionName: 'orders', MemorySize: 512, Role: actionInputs.role }),
+      expect.objectContaining({ FunctionName: 'billing', Role: actionInputs.role, Environment: { Variables: { TABLE: 'invoices' } } })
+    ]));
+    expect(core.setOutput).toHaveBeenCalledWith('functions', JSON.stringify({
+      orders: { status: 'succeeded', functionArn: functionArn('orders'), version: '$LATEST' },
+      billing: { status: 'succeeded', functionArn: functionArn('billing'), version: '$LATEST' }
+    }));
+    expect(core.info).toHaveBeenCalledWith('All 2 functions deployed successfully');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should only set the functions output', async () => {
+    await run();
+
+    expect(core.setOutput.mock.calls.map(([name]) => name)).toEqual(['functions']);
+  });
+
+  test('should report the functions that failed to deploy', async () => {
+    const accessError = new Error('not authorized to perform lambda:GetFunctionConfiguration');
+    accessError.name = 'AccessDeniedException';
+    const defaultSend = mockSend.getMockImplementation();
+    mockSend.mockImplementation(async (command) => {
+      if (command.input.FunctionName === 'orders') {
+        throw accessError;
+      }
+      return defaultSend(command);
+    });
+
+    await run();
+
+    const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'functions')[1]);
+    expect(results.orders).toEqual({ status: 'failed', error: 'not authorized to perform lambda:GetFunctionConfiguration' });
+    expect(results.billing.status).toBe('succeeded');
+    expect(core.info).toHaveBeenCalledWith('  orders: failed: not authorized to perform lambda:GetFunctionConfiguration');
+    expect(core.setFailed).toHaveBeenCalledWith('1 of 2 functions failed to deploy: orders');
+  });
+
+  test('should not deploy anything when an entry is invalid', async () => {
+    fs.readFileSync.mockReturnValue(JSON.stringify({
+      functions: [
+        { 'function-name': 'orders', 'image-uri': imageUri },
+        { 'function-name': 'billing', 'image-uri': imageUri, 'memory-size': 'large' }
+      ]
+    }));
+
+    await run();
+
+    expect(mockSend).not.toHaveBeenCalled();
+    expect(core.setFailed).toHaveBeenCalledWith('Memory size must be a number, got: large');
+    expect(core.setFailed).toHaveBeenCalledWith('Invalid inputs for billing in manifest lambda-manifest.yml');
+  });
+
+  test('should limit the number of concurrent deployments', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5 - item));
+      running--;
+      return item * 10;
+    });
+
+    expect(maxRunning).toBe(2);
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+  });
+});
@@ -1,7 +1,8 @@
-const { packageCodeArtifacts } = require('../index');
+const { packageCodeArtifacts, calculateCodeSha256, resolvePackagePath } = require('../index');
 const fs = require('fs/promises');
 const path = require('path');
 const AdmZip = require('adm-zip');
+const { glob } = require('glob');
 const core = require('@actions/core');
 const os = require('os');
 const validations = require('../validations');
@@ -357,4 +358,213 @@ describe('Package Code Artifacts Tests', () => {
     
     expect(fs.access).toHaveBeenCalledWith('/absolute/path/artifacts');
   });
-});
\ No newline at end of file
+
+  describe('Include/exclude rules', () => {
+    const expectedTempDir = '/mock/tmp/lambda-temp-1234567890';
+
+    beforeEach(() => {
+      validations.validateAndResolvePath = jest.fn().mockReturnValue('/mock/artifacts');
+      glob.mockResolvedValue(['index.js', 'lib/util.js', 'tests/index.test.js', 'README.md']);
+    });
+
+    test('should only copy files matched by include and exclude globs', async () => {
+      glob.mockResolvedValue(['index.js', 'lib/util.js']);
+
+      await packageCodeArtifacts('/mock/artifacts', {
+        include: ['**/*.js'],
+        exclude: ['tests/**']
+      });
+
+      expect(glob).toHaveBeenCalledWith(['**/*.js'], expect.objectContaining({
+        cwd: '/mock/artifacts',
+        dot: true,
+        nodir: true,
+        ignore: ['tests/**']
+      }));
+      expect(fs.cp).toHaveBeenCalledTimes(2);
+      expect(fs.cp).toHaveBeenCalledWith('/mock/artifacts/index.js', `${expectedTempDir}/index.js`);
+      expect(fs.cp).toHaveBeenCalledWith('/mock/artifacts/lib/util.js', `${expectedTempDir}/lib/util.js`);
+      expect(fs.mkdir).toHaveBeenCalledWith(`${expectedTempDir}/lib`, { recursive: true });
+    });
+
+    test('should default to all files when only exclude globs are given', async () => {
+      await packageCodeArtifacts('/mock/artifacts', { exclude: ['**/*.md'] });
+
+      expect(glob).toHaveBeenCalledWith(['**/*'], expect.objectContaining({ ignore: ['**/*.md'] }));
+    });
+
+    test('should apply .lambdaignore rules with gitignore semantics', async () => {
+      fs.readFile.mockResolvedValue('# test fixtures\ntests/\n*.md\n!README.md\n');
+
+      await packageCodeArtifacts('/mock/artifacts');
+
+      expect(fs.readFile).toHaveBeenCalledWith('/mock/artifacts/.lambdaignore', 'utf8');
+      expect(core.info).toHaveBeenCalledWith('Applying ignore rules from .lambdaignore');
+      const copied = fs.cp.mock.calls.map(call => call[0]);
+      expect(copied).toEqual([
+        '/mock/artifacts/index.js',
+        '/mock/artifacts/lib/util.js',
+        '/mock/artifacts/README.md'
+      ]);
+    });
+
+    test('should never package the .lambdaignore file itself', async () => {
+      fs.readFile.mockResolvedValue('*.md\n');
+      glob.mockResolvedValue(['.lambdaignore', 'index.js', 'README.md']);
+
+      await packageCodeArtifacts('/mock/artifacts');
+
+      expect(fs.cp).toHaveBeenCalledTimes(1);
+      expect(fs.cp).toHaveBeenCalledWith('/mock/artifacts/index.js', `${expectedTempDir}/index.js`);
+    });
+
+    test('should keep copying whole entries when no rules apply', async () => {
+      const missing = new Error('ENOENT: no such file or directory');
+      missing.code = 'ENOENT';
+      fs.readFile.mockRejectedValue(missing);
+
+      await packageCodeArtifacts('/mock/artifacts');
+
+      expect(glob).not.toHaveBeenCalled();
+      expect(fs.cp).toHaveBeenCalledWith('/mock/artifacts/file1.js', `${expectedTempDir}/file1.js`, { recursive: true });
+    });
+
+    test('should throw when no files match the rules', async () => {
+      glob.mockResolvedValue([]);
+
+      await expect(packageCodeArtifacts('/mock/artifacts', { include: ['**/*.py'] })).rejects.toThrow(
+        `No files in code artifacts directory '/mock/artifacts' matched the include/exclude rules`
+      );
+    });
+
+    test('should surface unreadable .lambdaignore files', async () => {
+      const denied = new Error('permission denied');
+      denied.code = 'EACCES';
+      fs.readFile.mockRejectedValue(denied);
+
+      await expect(packageCodeArtifacts('/mock/artifacts')).rejects.toThrow(
+        'Failed to read .lambdaignore: permission denied'
+      );
+    });
+  });
+
+  describe('Reproducible packaging', () => {
+    let zipInstance;
+
+    beforeEach(() => {
+      validations.validateAndResolvePath = jest.fn().mockReturnValue('/mock/artifacts');
+      zipInstance = {
+        addFile: jest.fn().mockImplementation(() => ({ header: {} })),
+        addLocalFolder: jest.fn(),
+        addLocalFile: jest.fn(),
+        writeZip: jest.fn()
+      };
+      AdmZip.mockImplementation((zipPath) => {
+        if (zipPath) {
+          return { getEntries: jest.fn().mockReturnValue([]) };
+        }
+        return zipInstance;
+      });
+      glob.mockResolvedValue(['lib/util.js', 'index.js', 'bin/run']);
+      fs.readFile.mockImplementation(async (file) => {
+        if (file.endsWith('.lambdaignore')) {
+          throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+        }
+        return Buffer.from(`content of ${file}`);
+      });
+      fs.stat.mockImplementation(async (file) => ({
+        size: 12345,
+        mode: file.endsWith('bin/run') ? 0o100775 : 0o100664
+      }));
+    });
+
+    test('should add sorted entries with pinned timestamps and normalized permissions', async () => {
+      await packageCodeArtifacts('/mock/artifacts', { reproducible: true });
+
+      const expectedTempDir = '/mock/tmp/lambda-temp-1234567890';
+      expect(glob).toHaveBeenCalledWith('**/*', expect.objectContaining({ cwd: expectedTempDir, nodir: true }));
+      expect(zipInstance.addFile.mock.calls.map(call => call[0])).toEqual(['bin/run', 'index.js', 'lib/util.js']);
+      expect(zipInstance.addFile).toHaveBeenCalledWith('bin/run', expect.any(Buffer), '', 0o755);
+      expect(zipInstance.addFile).toHaveBeenCalledWith('index.js', expect.any(Buffer), '', 0o644);
+      for (const result of zipInstance.addFile.mock.results) {
+        expect(result.value.header.time).toEqual(new Date(1980, 0, 1, 0, 0, 0));
+      }
+      expect(zipInstance.addLocalFile).not.toHaveBeenCalled();
+      expect(zipInstance.addLocalFolder).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Writing ZIP file with reproducible options');
+    });
+
+    test('should log the CodeSha256 of the reproducible package', async () => {
+      await packageCodeArtifacts('/mock/artifacts', { reproducible: true });
+
+      expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/^Reproducible package CodeSha256: [A-Za-z0-9+/]+=*$/));
+    });
+
+    test('should compute CodeSha256 as a base64 SHA-256 digest', async () => {
+      fs.readFile.mockResolvedValue(Buffer.from('hello'));
+
+      await expect(calculateCodeSha256('/mock/tmp/package.zip')).resolves.toBe(
+        'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ='
+      );
+    });
+  });
+
+  describe('Prebuilt packages', () => {
+    beforeEach(() => {
+      validations.validateAndResolvePath = jest.fn().mockReturnValue('/mock/cwd/build/function.zip');
+      fs.stat.mockResolvedValue({ size: 4096, isFile: () => true });
+    });
+
+    test('should resolve and verify a prebuilt zip package', async () => {
+      const result = await resolvePackagePath('./build/function.zip');
+
+      expect(validations.validateAndResolvePath).toHaveBeenCalledWith('./build/function.zip', '/mock/cwd');
+      expect(AdmZip).toHaveBeenCalledWith('/mock/cwd/build/function.zip');
+      expect(core.info).toHaveBeenCalledWith('Deployment package verified - 4096 bytes, 2 entries');
+      expect(result).toBe('/mock/cwd/build/function.zip');
+      expect(fs.cp).not.toHaveBeenCalled();
+    });
+
+    test('should reject a missing package', async () => {
+      fs.stat.mockRejectedValue(new Error('ENOENT: no such file or directory'));
+
+      await expect(resolvePackagePath('./build/function.zip')).rejects.toThrow(
+        `Deployment package '/mock/cwd/build/function.zip' does not exist or is not accessible`
+      );
+    });
+
+    test('should reject a directory', async () => {
+      fs.stat.mockResolvedValue({ size: 0, isFile: () => false });
+
+      await expect(resolvePackagePath('./build/function.zip')).rejects.toThrow(
+        `Deployment package '/mock/cwd/build/function.zip' is not a file`
+      );
+    });
+
+    test('should reject a file that is not a zip archive', async () => {
+      AdmZip.mockImplementation(() => {
+        throw new Error('Invalid or unsupported zip format');
+      });
+
+      await expect(resolvePackagePath('./build/function.zip')).rejects.toThrow(
+        `Deployment package '/mock/cwd/build/function.zip' is not a valid ZIP file: Invalid or unsupported zip format`
+      );
+    });
+
+    test('should reject an empty zip archive', async () => {
+      AdmZip.mockImplementation(() => ({ getEntries: jest.fn().mockReturnValue([]) }));
+
+      await expect(resolvePackagePath('./build/function.zip')).rejects.toThrow(
+        `Deployment package '/mock/cwd/build/function.zip' is empty`
+      );
+    });
+
+    test('should propagate path traversal errors', async () => {
+      validations.validateAndResolvePath = jest.fn().mockImplementation(() => {
+        throw new Error('Security error: Path traversal attempt detected');
+      });
+
+      await expect(resolvePackagePath('../../function.zip')).rejects.toThrow('Security error: Path traversal attempt detected');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const { updateFunctionPermissions, getFunctionPolicyStatements, normalizePolicyStatement } = require('../index');
+const core = require('@actions/core');
+const { GetPolicyCommand, AddPermissionCommand, RemovePermissionCommand } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetPolicyCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetPolicyCommand' })),
+    AddPermissionCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'AddPermissionCommand' })),
+    RemovePermissionCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'RemovePermissionCommand' })),
+    ListAliasesCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'ListAliasesCommand' }))
+  };
+});
+
+describe('Permission Tests', () => {
+  const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function';
+  const apiArn = 'arn:aws:execute-api:us-east-1:123456789012:abc123/*/GET/orders';
+  const bucketArn = 'arn:aws:s3:::uploads';
+  let mockSend;
+  let mockLambdaClient;
+  let policies;
+  let aliases;
+
+  function apiGatewayStatement(sid, sourceArn = apiArn) {
+    return {
+      Sid: sid,
+      Effect: 'Allow',
+      Principal: { Service: 'apigateway.amazonaws.com' },
+      Action: 'lambda:InvokeFunction',
+      Resource: functionArn,
+      Condition: { ArnLike: { 'AWS:SourceArn': sourceArn } }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    policies = {};
+    aliases = [];
+    mockSend = jest.fn().mockImplementation(async (command) => {
+      if (command.type === 'ListAliasesCommand') {
+        return { Aliases: aliases.map(name => ({ Name: name })) };
+      }
+      if (command.type === 'GetPolicyCommand') {
+        const statements = policies[command.input.Qualifier || '$unqualified'];
+        if (!statements) {
+          const notFound = new Error('The resource you requested does not exist.');
+          notFound.name = 'ResourceNotFoundException';
+          throw notFound;
+        }
+        return { Policy: JSON.stringify({ Version: '2012-10-17', Statement: statements }) };
+      }
+      return {};
+    });
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should add missing statements', async () => {
+    const summary = await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 'api', Principal: 'apigateway.amazonaws.com', SourceArn: apiArn }]
+    });
+
+    expect(AddPermissionCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      StatementId: 'lambda-deploy-api',
+      Action: 'lambda:InvokeFunction',
+      Principal: 'apigateway.amazonaws.com',
+      SourceArn: apiArn
+    });
+    expect(summary).toEqual({ added: 1, replaced: 0, removed: 0, unchanged: 0 });
+  });
+
+  test('should leave matching statements alone', async () => {
+    policies.$unqualified = [apiGatewayStatement('lambda-deploy-api')];
+
+    const summary = await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 'api', Principal: 'apigateway.amazonaws.com', SourceArn: apiArn }]
+    });
+
+    expect(AddPermissionCommand).not.toHaveBeenCalled();
+    expect(RemovePermissionCommand).not.toHaveBeenCalled();
+    expect(summary.unchanged).toBe(1);
+  });
+
+  test('should replace changed statements', async () => {
+    policies.$unqualified = [apiGatewayStatement('lambda-deploy-api', 'arn:aws:execute-api:us-east-1:123456789012:abc123/*/*')];
+
+    await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 'api', Principal: 'apigateway.amazonaws.com', SourceArn: apiArn }]
+    });
+
+    expect(RemovePermissionCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', StatementId: 'lambda-deploy-api' });
+    expect(AddPermissionCommand).toHaveBeenCalledWith(expect.objectContaining({ StatementId: 'lambda-deploy-api', SourceArn: apiArn }));
+    expect(core.info).toHaveBeenCalledWith('Replacing permission lambda-deploy-api of test-function');
+  });
+
+  test('should remove stale managed statements and keep unmanaged ones', async () => {
+    policies.$unqualified = [
+      apiGatewayStatement('lambda-deploy-old'),
+      apiGatewayStatement('added-by-console')
+    ];
+
+    const summary = await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: []
+    });
+
+    expect(RemovePermissionCommand).toHaveBeenCalledTimes(1);
+    expect(RemovePermissionCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', StatementId: 'lambda-deploy-old' });
+    expect(summary.removed).toBe(1);
+  });
+
+  test('should reconcile the policy of each qualifier', async () => {
+    policies.live = [apiGatewayStatement('lambda-deploy-stale')];
+
+    await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 's3', Principal: 's3.amazonaws.com', SourceArn: bucketArn, SourceAccount: '123456789012', Qualifier: 'live' }]
+    });
+
+    expect(GetPolicyCommand).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+    expect(GetPolicyCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: 'live' });
+    expect(RemovePermissionCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', StatementId: 'lambda-deploy-stale', Qualifier: 'live' });
+    expect(AddPermissionCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      StatementId: 'lambda-deploy-s3',
+      Action: 'lambda:InvokeFunction',
+      Principal: 's3.amazonaws.com',
+      Qualifier: 'live',
+      SourceArn: bucketArn,
+      SourceAccount: '123456789012'
+    });
+  });
+
+  test('should remove managed statements of aliases that are no longer listed', async () => {
+    aliases = ['live', 'staging'];
+    policies.live = [apiGatewayStatement('lambda-deploy-api')];
+    policies.staging = [apiGatewayStatement('lambda-deploy-api'), apiGatewayStatement('added-by-console')];
+
+    const summary = await updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 'api', Principal: 'apigateway.amazonaws.com', SourceArn: apiArn, Qualifier: 'live' }]
+    });
+
+    expect(GetPolicyCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: 'staging' });
+    expect(RemovePermissionCommand).toHaveBeenCalledTimes(1);
+    expect(RemovePermissionCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', StatementId: 'lambda-deploy-api', Qualifier: 'staging' });
+    expect(summary).toEqual({ added: 0, replaced: 0, removed: 1, unchanged: 1 });
+  });
+
+  test('should normalize policy statements to AddPermission fields', () => {
+    expect(normalizePolicyStatement({
+      Sid: 'url',
+      Principal: '*',
+      Action: 'lambda:InvokeFunctionUrl',
+      Condition: { StringEquals: { 'lambda:FunctionUrlAuthType': 'NONE' } }
+    })).toEqual({ Principal: '*', Action: 'lambda:InvokeFunctionUrl', FunctionUrlAuthType: 'NONE' });
+    expect(normalizePolicyStatement({
+      Sid: 'account',
+      Principal: { AWS: 'arn:aws:iam::210987654321:root' },
+      Action: 'lambda:InvokeFunction'
+    })).toEqual({ Principal: '210987654321', Action: 'lambda:InvokeFunction' });
+  });
+
+  test('should propagate unexpected errors when reading the policy', async () => {
+    mockSend.mockRejectedValue(new Error('Network error'));
+
+    await expect(getFunctionPolicyStatements(mockLambdaClient, 'test-function')).rejects.toThrow('Network error');
+  });
+
+  test('should report errors', async () => {
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'AddPermissionCommand') {
+        const conflict = new Error('The statement id (lambda-deploy-api) provided already exists.');
+        conflict.name = 'ResourceConflictException';
+        throw conflict;
+      }
+      return { Policy: JSON.stringify({ Statement: [] }) };
+    });
+
+    await expect(updateFunctionPermissions(mockLambdaClient, {
+      functionName: 'test-function',
+      sidPrefix: 'lambda-deploy-',
+      permissions: [{ StatementId: 'api', Principal: 'apigateway.amazonaws.com' }]
+    })).rejects.toThrow('already exists');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to update permissions of test-function: The statement id (lambda-deploy-api) provided already exists.'
+    );
+  });
+});
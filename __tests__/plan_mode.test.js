@@ -0,0 +1,231 @@
+const { run, planFunctionDeployment, getConfigurationChanges, getTagChanges } = require('../index');
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  const command = (type) => jest.fn().mockImplementation((params) => ({ input: params, type }));
+  return {
+    LambdaClient: jest.fn(),
+    GetFunctionConfigurationCommand: command('GetFunctionConfigurationCommand'),
+    GetFunctionCommand: command('GetFunctionCommand'),
+    GetAliasCommand: command('GetAliasCommand'),
+    CreateFunctionCommand: command('CreateFunctionCommand'),
+    UpdateFunctionConfigurationCommand: command('UpdateFunctionConfigurationCommand'),
+    UpdateFunctionCodeCommand: command('UpdateFunctionCodeCommand')
+  };
+});
+
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+describe('Plan Mode Tests', () => {
+  const imageUri = '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:v2';
+  const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function';
+  const role = 'arn:aws:iam::123456789012:role/lambda-role';
+  let actionInputs;
+  let functionExists;
+  let mockSend;
+
+  function notFound(message) {
+    const error = new Error(message);
+    error.name = 'ResourceNotFoundException';
+    return error;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.debug = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.setSecret = jest.fn();
+    core.getBooleanInput = jest.fn().mockImplementation((name) => name === 'plan' || (name === 'publish' && actionInputs.publish === 'true'));
+    core.getInput = jest.fn().mockImplementation((name) => actionInputs[name] || '');
+    process.cwd = jest.fn().mockReturnValue('/workspace');
+
+    actionInputs = {
+      'function-name': 'test-function',
+      'image-uri': imageUri,
+      role,
+      'memory-size': '512',
+      environment: '{"API_KEY":"new-secret"}',
+      tags: '{"Team":"payments"}',
+      'tags-mode': 'exact',
+      alias: 'live',
+      publish: 'true'
+    };
+    functionExists = true;
+
+    mockSend = jest.fn().mockImplementation(async (command) => {
+      if (!functionExists) {
+        throw notFound(`Function not found: ${functionArn}`);
+      }
+      if (command.type === 'GetFunctionConfigurationCommand') {
+        return { FunctionArn: functionArn, PackageType: 'Image' };
+      }
+      if (command.type === 'GetFunctionCommand') {
+        return {
+          Configuration: {
+            FunctionArn: functionArn,
+            Role: role,
+            MemorySize: 128,
+            Environment: { Variables: { API_KEY: 'old-secret', DEBUG: 'true' } }
+          },
+          Code: { ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:v1' },
+          Tags: { Team: 'platform', Legacy: 'true', 'aws:cloudformation:stack-name': 'app' }
+        };
+      }
+      if (command.type === 'GetAliasCommand') {
+        return { FunctionVersion: '3' };
+      }
+      throw new Error(`Unexpected ${command.type}`);
+    });
+    LambdaClient.mockImplementation(() => ({ send: mockSend }));
+  });
+
+  test('should plan the changes to an existing function without modifying it', async () => {
+    await run();
+
+    expect(mockSend.mock.calls.map(([command]) => command.type)).toEqual([
+      'GetFunctionConfigurationCommand',
+      'GetFunctionCommand',
+      'GetAliasCommand'
+    ]);
+    expect(core.setOutput).toHaveBeenCalledWith('plan', JSON.stringify({
+      functionName: 'test-function',
+      action: 'update',
+      configuration: [
+        { field: 'MemorySize', current: 128, desired: 512 },
+        { field: 'Environment.Variables.API_KEY', current: '***', desired: '***' },
+        { field: 'Environment.Variables.DEBUG', current: '***', desired: null }
+      ],
+      code: {
+        field: 'ImageUri',
+        current: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:v1',
+        desired: imageUri,
+        changed: true
+      },
+      tags: [
+        { key: 'Team', current: 'platform', desired: 'payments' },
+        { key: 'Legacy', current: 'true', desired: null }
+      ],
+      alias: { name: 'live', action: 'update', currentVersion: '3' },
+      notEvaluated: []
+    }));
+    expect(core.info).toHaveBeenCalledWith('  MemorySize: 128 -> 512');
+    expect(core.info).toHaveBeenCalledWith('  Alias live: update from version 3');
+    expect(core.info).toHaveBeenCalledWith('Lambda function deployment plan completed, no changes were made');
+    expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('secret'));
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should plan the creation of a function that does not exist', async () => {
+    functionExists = false;
+
+    await run();
+
+    const plan = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'plan')[1]);
+    expect(plan.action).toBe('create');
+    expect(plan.configuration).toEqual(expect.arrayContaining([
+      { field: 'Role', current: null, desired: role },
+      { field: 'MemorySize', current: null, desired: 512 }
+    ]));
+    expect(plan.code).toEqual({ field: 'ImageUri', current: null, desired: imageUri, changed: true });
+    expect(plan.tags).toEqual([{ key: 'Team', current: null, desired: 'payments' }]);
+    expect(plan.alias).toEqual({ name: 'live', action: 'create', currentVersion: null });
+    expect(mockSend.mock.calls.map(([command]) => command.type)).toEqual(['GetFunctionConfigurationCommand']);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should fail when plan and dry-run are both set', async () => {
+    core.getBooleanInput.mockImplementation((name) => ['plan', 'dry-run', 'publish'].includes(name));
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('plan and dry-run cannot be used together');
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('should compare the CodeSha256 of a zip package', async () => {
+    const zipPath = path.join(os.tmpdir(), `lambda-plan-${Date.now()}.zip`);
+    fs.writeFileSync(zipPath, 'package content');
+    const codeSha256 = crypto.createHash('sha256').update('package content').digest('base64');
+    mockSend.mockResolvedValue({ Configuration: { CodeSha256: codeSha256 } });
+
+    try {
+      const plan = await planFunctionDeployment({ send: mockSend }, {
+        functionName: 'test-function',
+        functionExists: true,
+        finalZipPath: zipPath
+      });
+
+      expect(plan.action).toBe('no-change');
+      expect(plan.code).toEqual({ field: 'CodeSha256', current: codeSha256, desired: codeSha256, changed: false });
+      expect(core.info).toHaveBeenCalledWith('  Code CodeSha256: unchanged');
+    } finally {
+      fs.unlinkSync(zipPath);
+    }
+  });
+
+  test('should list the inputs it does not evaluate instead of reporting no change', async () => {
+    const zipPath = path.join(os.tmpdir(), `lambda-plan-${Date.now()}.zip`);
+    fs.writeFileSync(zipPath, 'package content');
+    const codeSha256 = crypto.createHash('sha256').update('package content').digest('base64');
+    mockSend.mockResolvedValue({ Configuration: { CodeSha256: codeSha256 } });
+
+    try {
+      const plan = await planFunctionDeployment({ send: mockSend }, {
+        functionName: 'test-function',
+        functionExists: true,
+        finalZipPath: zipPath,
+        parsedReservedConcurrency: null,
+        parsedPermissions: [{ Principal: 's3.amazonaws.com', Action: 'lambda:InvokeFunction' }]
+      });
+
+      expect(plan.action).toBe('unknown');
+      expect(plan.notEvaluated).toEqual(['reserved-concurrency', 'permissions']);
+      expect(core.info).toHaveBeenCalledWith('  Not evaluated: reserved-concurrency, permissions');
+    } finally {
+      fs.unlinkSync(zipPath);
+    }
+  });
+
+  test('should report permission errors', async () => {
+    const accessError = new Error('not authorized to perform lambda:GetFunction');
+    accessError.name = 'AccessDeniedException';
+    mockSend.mockRejectedValue(accessError);
+
+    await expect(planFunctionDeployment({ send: mockSend }, {
+      functionName: 'test-function',
+      functionExists: true,
+      imageUri
+    })).rejects.toThrow('not authorized');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed with error: Permissions error: not authorized to perform lambda:GetFunction. Check IAM roles.'
+    );
+  });
+
+  test('should list configuration changes field by field', () => {
+    expect(getConfigurationChanges(
+      { Timeout: 3, TracingConfig: { Mode: 'PassThrough' }, Environment: { Variables: { A: '1' } } },
+      { Timeout: 3, TracingConfig: { Mode: 'Active' }, Environment: { Variables: { A: '1', B: '2' } } }
+    )).toEqual([
+      { field: 'TracingConfig.Mode', current: 'PassThrough', desired: 'Active' },
+      { field: 'Environment.Variables.B', current: null, desired: '***' }
+    ]);
+  });
+
+  test('should compute tag changes', () => {
+    expect(getTagChanges({ Team: 'a', Old: 'x', 'aws:tag': 'y' }, { Team: 'b' }, 'exact')).toEqual({
+      tagsToAdd: { Team: 'b' },
+      tagsToRemove: ['Old']
+    });
+    expect(getTagChanges({ Team: 'a', Old: 'x' }, { Team: 'a' })).toEqual({ tagsToAdd: {}, tagsToRemove: [] });
+  });
+});
@@ -0,0 +1,211 @@
+const { run } = require('../index');
+const core = require('@actions/core');
+const fs = require('fs/promises');
+
+jest.mock('@actions/core');
+jest.mock('fs/promises', () => ({
+  stat: jest.fn(),
+  readFile: jest.fn()
+}));
+jest.mock('adm-zip', () => jest.fn().mockImplementation(() => ({
+  getEntries: jest.fn().mockReturnValue([{ entryName: 'index.js' }])
+})));
+jest.mock('@aws-sdk/client-lambda', () => {
+  const command = (type) => jest.fn().mockImplementation((params) => ({ input: params, type }));
+  return {
+    LambdaClient: jest.fn(),
+    CreateFunctionCommand: command('CreateFunctionCommand'),
+    GetFunctionCommand: command('GetFunctionCommand'),
+    GetFunctionConfigurationCommand: command('GetFunctionConfigurationCommand'),
+    UpdateFunctionConfigurationCommand: command('UpdateFunctionConfigurationCommand'),
+    UpdateFunctionCodeCommand: command('UpdateFunctionCodeCommand'),
+    waitUntilFunctionUpdated: jest.fn().mockResolvedValue({}),
+    waitUntilPublishedVersionActive: jest.fn().mockResolvedValue({})
+  };
+});
+
+const { LambdaClient, UpdateFunctionCodeCommand } = require('@aws-sdk/client-lambda');
+
+describe('Multi-Region Deployment Tests', () => {
+  let actionInputs;
+  let booleanInputs;
+  let sends;
+  let failingRegion;
+  let packageType;
+
+  function functionArn(region) {
+    return `arn:aws:lambda:${region}:123456789012:function:test-function`;
+  }
+
+  function codeUpdates() {
+    return Object.entries(sends).flatMap(([region, send]) => send.mock.calls
+      .map(([command]) => command)
+      .filter(command => command.type === 'UpdateFunctionCodeCommand')
+      .map(command => ({ region, ...command.input })));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.debug = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.getInput = jest.fn().mockImplementation((name) => actionInputs[name] || '');
+    core.getBooleanInput = jest.fn().mockImplementation((name) => booleanInputs[name] || false);
+    process.cwd = jest.fn().mockReturnValue('/workspace');
+
+    actionInputs = {
+      'function-name': 'test-function',
+      'image-uri': '123456789012.dkr.ecr.{region}.amazonaws.com/app:latest',
+      'regions': 'us-east-1\neu-west-1\nap-southeast-2'
+    };
+    booleanInputs = {};
+    failingRegion = null;
+    packageType = 'Image';
+
+    fs.stat.mockResolvedValue({ isFile: () => true, size: 1024 });
+    fs.readFile.mockResolvedValue(Buffer.from('package'));
+
+    sends = {};
+    LambdaClient.mockImplementation(({ region }) => {
+      sends[region] = sends[region] || jest.fn().mockImplementation(async (command) => {
+        if (command.type === 'UpdateFunctionCodeCommand' && region === failingRegion) {
+          throw new Error(`Function code update failed in ${region}`);
+        }
+        if (command.type === 'GetFunctionCommand') {
+          return {
+            Configuration: { CodeSha256: 'previous-sha' },
+            Code: { ImageUri: `123456789012.dkr.ecr.${region}.amazonaws.com/app:previous` }
+          };
+        }
+        return { FunctionArn: functionArn(region), Version: '$LATEST', PackageType: packageType, State: 'Active' };
+      });
+      return { send: sends[region] };
+    });
+  });
+
+  test('should deploy to each region with region-specific inputs', async () => {
+    actionInputs.regions = JSON.stringify({
+      'us-east-1': { 'kms-key-arn': 'arn:aws:kms:us-east-1:123456789012:key/use1-key' },
+      'eu-west-1': { 'kms-key-arn': 'arn:aws:kms:eu-west-1:123456789012:key/euw1-key' }
+    });
+
+    await run();
+
+    expect(LambdaClient).toHaveBeenCalledWith(expect.objectContaining({ region: 'us-east-1' }));
+    expect(LambdaClient).toHaveBeenCalledWith(expect.objectContaining({ region: 'eu-west-1' }));
+    expect(codeUpdates()).toEqual([
+      expect.objectContaining({ region: 'us-east-1', ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:latest' }),
+      expect.objectContaining({ region: 'eu-west-1', ImageUri: '123456789012.dkr.ecr.eu-west-1.amazonaws.com/app:latest' })
+    ]);
+    const configUpdate = sends['eu-west-1'].mock.calls
+      .map(([command]) => command)
+      .find(command => command.type === 'UpdateFunctionConfigurationCommand');
+    expect(configUpdate.input.KMSKeyArn).toBe('arn:aws:kms:eu-west-1:123456789012:key/euw1-key');
+    expect(core.setOutput).toHaveBeenCalledWith('region-results', JSON.stringify({
+      'us-east-1': { status: 'succeeded', functionArn: functionArn('us-east-1'), version: '$LATEST' },
+      'eu-west-1': { status: 'succeeded', functionArn: functionArn('eu-west-1'), version: '$LATEST' }
+    }));
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should fail when regions and manifest are both set', async () => {
+    actionInputs.manifest = 'lambda-manifest.json';
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('regions cannot be combined with manifest');
+    expect(LambdaClient).not.toHaveBeenCalled();
+  });
+
+  test('should build the package once for every region', async () => {
+    delete actionInputs['image-uri'];
+    actionInputs['package-path'] = 'build/function.zip';
+    packageType = 'Zip';
+
+    await run();
+
+    expect(fs.stat).toHaveBeenCalledTimes(1);
+    expect(codeUpdates().map(update => update.region)).toEqual(['us-east-1', 'eu-west-1', 'ap-southeast-2']);
+    expect(codeUpdates().every(update => update.ZipFile.equals(Buffer.from('package')))).toBe(true);
+  });
+
+  test('should keep deploying the other regions with the best-effort policy', async () => {
+    actionInputs['region-failure-policy'] = 'best-effort';
+    failingRegion = 'eu-west-1';
+
+    await run();
+
+    const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'region-results')[1]);
+    expect(results['eu-west-1']).toEqual({ status: 'failed', error: 'Function code update failed in eu-west-1' });
+    expect(results['ap-southeast-2'].status).toBe('succeeded');
+    expect(core.setFailed).toHaveBeenCalledWith('1 of 3 regions failed to deploy: eu-west-1');
+  });
+
+  test('should skip the remaining regions and roll back deployed regions with the atomic policy', async () => {
+    failingRegion = 'eu-west-1';
+
+    await run();
+
+    expect(sends['ap-southeast-2']).toBeUndefined();
+    expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:previous'
+    });
+    const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'region-results')[1]);
+    expect(results['us-east-1'].status).toBe('rolled-back');
+    expect(results['us-east-1'].error).toContain('Deployment to eu-west-1 failed: Function code update failed in eu-west-1');
+    expect(results['ap-southeast-2']).toEqual({ status: 'skipped' });
+    expect(core.setFailed).toHaveBeenCalledWith('3 of 3 regions failed to deploy: us-east-1, eu-west-1, ap-southeast-2');
+  });
+
+  test('should mark a region as failed when its rollback fails', async () => {
+    failingRegion = 'eu-west-1';
+    LambdaClient.mockImplementationOnce(({ region }) => {
+      sends[region] = jest.fn().mockImplementation(async (command) => {
+        if (command.type === 'UpdateFunctionCodeCommand' && sends[region].mock.calls.some(([call]) => call.type === 'UpdateFunctionCodeCommand' && call !== command)) {
+          throw new Error('Code storage limit exceeded');
+        }
+        if (command.type === 'GetFunctionCommand') {
+          return {
+            Configuration: { CodeSha256: 'previous-sha' },
+            Code: { ImageUri: `123456789012.dkr.ecr.${region}.amazonaws.com/app:previous` }
+          };
+        }
+        return { FunctionArn: functionArn(region), Version: '$LATEST', PackageType: packageType, State: 'Active' };
+      });
+      return { send: sends[region] };
+    });
+
+    await run();
+
+    const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'region-results')[1]);
+    expect(results['us-east-1'].status).toBe('failed');
+    expect(results['us-east-1'].error).toContain('the rollback also failed');
+  });
+
+  test('should warn about deployed regions that cannot be rolled back', async () => {
+    actionInputs.role = 'arn:aws:iam::123456789012:role/lambda-role';
+    failingRegion = 'ap-southeast-2';
+    sends['us-east-1'] = jest.fn().mockImplementation(async (command) => {
+      if (command.type === 'GetFunctionConfigurationCommand' && !sends['us-east-1'].mock.calls.some(([call]) => call.type === 'CreateFunctionCommand')) {
+        const error = new Error('Function not found');
+        error.name = 'ResourceNotFoundException';
+        throw error;
+      }
+      return { FunctionArn: functionArn('us-east-1'), Version: '$LATEST', PackageType: packageType, State: 'Active' };
+    });
+
+    await run();
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'us-east-1 was deployed but is not rolled back, the function did not exist before this deployment'
+    );
+    const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'region-results')[1]);
+    expect(results['us-east-1'].status).toBe('succeeded');
+    expect(results['eu-west-1'].status).toBe('rolled-back');
+    expect(core.setFailed).toHaveBeenCalledWith('2 of 3 regions failed to deploy: eu-west-1, ap-southeast-2');
+  });
+});
@@ -0,0 +1,216 @@
+const { captureRollbackState, rollbackDeployment } = require('../index');
+const core = require('@actions/core');
+const fs = require('fs/promises');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { GetFunctionCommand, UpdateAliasCommand, UpdateFunctionCodeCommand, waitUntilFunctionUpdated } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('fs/promises', () => ({
+  readFile: jest.fn(),
+  writeFile: jest.fn(),
+  rm: jest.fn()
+}));
+jest.mock('https', () => ({
+  get: jest.fn()
+}));
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetAliasCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetAliasCommand' })),
+    GetFunctionCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetFunctionCommand' })),
+    UpdateAliasCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateAliasCommand' })),
+    UpdateFunctionCodeCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateFunctionCodeCommand' })),
+    waitUntilFunctionUpdated: jest.fn()
+  };
+});
+
+describe('Rollback Tests', () => {
+  const previousCode = Buffer.from('previous code');
+  const previousCodeSha256 = crypto.createHash('sha256').update(previousCode).digest('base64');
+  let mockSend;
+  let mockLambdaClient;
+
+  function mockDownload(statusCode, body) {
+    https.get.mockImplementation((url, callback) => {
+      const response = new EventEmitter();
+      response.statusCode = statusCode;
+      response.resume = jest.fn();
+      callback(response);
+      response.emit('data', body);
+      response.emit('end');
+      return new EventEmitter();
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.setOutput = jest.fn();
+    core.debug = jest.fn();
+
+    fs.writeFile.mockResolvedValue();
+    fs.rm.mockResolvedValue();
+    fs.readFile.mockResolvedValue(previousCode);
+    waitUntilFunctionUpdated.mockResolvedValue({});
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  describe('captureRollbackState', () => {
+    test('should record the current alias version', async () => {
+      const routingConfig = { AdditionalVersionWeights: {} };
+      mockSend.mockResolvedValue({ FunctionVersion: '4', RoutingConfig: routingConfig });
+
+      const state = await captureRollbackState(mockLambdaClient, { functionName: 'test-function', alias: 'live' });
+
+      expect(state).toEqual({
+        functionName: 'test-function',
+        alias: 'live',
+        aliasVersion: '4',
+        aliasRoutingConfig: routingConfig
+      });
+      expect(GetFunctionCommand).not.toHaveBeenCalled();
+    });
+
+    test('should download the deployed code when the alias does not exist yet', async () => {
+      const notFound = new Error('Alias not found');
+      notFound.name = 'ResourceNotFoundException';
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'GetAliasCommand') {
+          throw notFound;
+        }
+        return {
+          Configuration: { CodeSha256: previousCodeSha256 },
+          Code: { Location: 'https://awslambda.s3.amazonaws.com/snapshot' }
+        };
+      });
+      mockDownload(200, previousCode);
+
+      const state = await captureRollbackState(mockLambdaClient, { functionName: 'test-function', alias: 'live', region: 'eu-west-1' });
+
+      expect(https.get).toHaveBeenCalledWith('https://awslambda.s3.amazonaws.com/snapshot', expect.any(Function));
+      expect(fs.writeFile).toHaveBeenCalledWith(state.zipPath, previousCode);
+      expect(state.codeSha256).toBe(previousCodeSha256);
+      expect(state.zipPath).toMatch(/lambda-rollback-test-function-eu-west-1-\d+\.zip$/);
+      expect(fs.rm).not.toHaveBeenCalled();
+    });
+
+    test('should record the resolved image URI of container functions', async () => {
+      mockSend.mockResolvedValue({
+        Configuration: { CodeSha256: 'image-sha' },
+        Code: {
+          ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:latest',
+          ResolvedImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:abc'
+        }
+      });
+
+      const state = await captureRollbackState(mockLambdaClient, { functionName: 'test-function' });
+
+      expect(state.imageUri).toBe('123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:abc');
+      expect(https.get).not.toHaveBeenCalled();
+    });
+
+    test('should fail when the downloaded code does not match the deployed CodeSha256', async () => {
+      mockSend.mockResolvedValue({
+        Configuration: { CodeSha256: 'other-sha' },
+        Code: { Location: 'https://awslambda.s3.amazonaws.com/snapshot' }
+      });
+      mockDownload(200, previousCode);
+
+      await expect(captureRollbackState(mockLambdaClient, { functionName: 'test-function' }))
+        .rejects.toThrow(`Downloaded code of test-function does not match its CodeSha256 (expected other-sha, got ${previousCodeSha256})`);
+      expect(fs.rm).toHaveBeenCalledWith(expect.stringMatching(/lambda-rollback-test-function-\d+\.zip$/), { force: true });
+    });
+
+    test('should fail when the code download fails', async () => {
+      mockSend.mockResolvedValue({
+        Configuration: { CodeSha256: previousCodeSha256 },
+        Code: { Location: 'https://awslambda.s3.amazonaws.com/snapshot' }
+      });
+      mockDownload(403, Buffer.from('Forbidden'));
+
+      await expect(captureRollbackState(mockLambdaClient, { functionName: 'test-function' }))
+        .rejects.toThrow('Failed to download function code: HTTP 403');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackDeployment', () => {
+    const failure = new Error('Alias live routing changed during traffic shifting');
+
+    test('should restore the alias to its previous version', async () => {
+      mockSend.mockResolvedValue({});
+
+      await expect(rollbackDeployment(mockLambdaClient, {
+        functionName: 'test-function',
+        alias: 'live',
+        aliasVersion: '4'
+      }, failure)).rejects.toMatchObject({
+        message: 'Deployment of test-function failed and was rolled back (alias live restored to version 4): Alias live routing changed during traffic shifting',
+        rolledBack: true
+      });
+
+      expect(UpdateAliasCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        Name: 'live',
+        FunctionVersion: '4',
+        RoutingConfig: { AdditionalVersionWeights: {} }
+      });
+      expect(UpdateFunctionCodeCommand).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('rolled-back', 'true');
+    });
+
+    test('should redeploy the previous code when no alias was recorded', async () => {
+      mockSend.mockResolvedValue({});
+
+      await expect(rollbackDeployment(mockLambdaClient, {
+        functionName: 'test-function',
+        codeSha256: previousCodeSha256,
+        zipPath: '/tmp/lambda-rollback-1.zip'
+      }, failure)).rejects.toThrow(`code restored to CodeSha256 ${previousCodeSha256}`);
+
+      expect(fs.readFile).toHaveBeenCalledWith('/tmp/lambda-rollback-1.zip');
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        ZipFile: previousCode
+      });
+      expect(waitUntilFunctionUpdated).toHaveBeenCalledTimes(2);
+      expect(core.info).toHaveBeenCalledWith('  Failure: Alias live routing changed during traffic shifting');
+      expect(fs.rm).toHaveBeenCalledWith('/tmp/lambda-rollback-1.zip', { force: true });
+    });
+
+    test('should redeploy the previous image', async () => {
+      mockSend.mockResolvedValue({});
+
+      await expect(rollbackDeployment(mockLambdaClient, {
+        functionName: 'test-function',
+        codeSha256: 'image-sha',
+        imageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:abc'
+      }, failure)).rejects.toThrow('was rolled back');
+
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        ImageUri: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:abc'
+      });
+    });
+
+    test('should report both errors when the rollback fails', async () => {
+      mockSend.mockRejectedValue(new Error('not authorized to perform lambda:UpdateAlias'));
+
+      await expect(rollbackDeployment(mockLambdaClient, {
+        functionName: 'test-function',
+        alias: 'live',
+        aliasVersion: '4'
+      }, failure)).rejects.toMatchObject({
+        message: 'Deployment of test-function failed and the rollback also failed. Deployment error: Alias live routing changed during traffic shifting. Rollback error: not authorized to perform lambda:UpdateAlias',
+        rolledBack: false
+      });
+
+      expect(core.setOutput).not.toHaveBeenCalledWith('rolled-back', 'true');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { resolveSecretReferences } = require('../index');
+const core = require('@actions/core');
+const { GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+jest.mock('@actions/core');
+
+describe('Secret Reference Tests', () => {
+  let ssmClient;
+  let secretsManagerClient;
+  let parameters;
+  let secrets;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setSecret = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    parameters = {
+      '/app/db-url': 'postgres://db.internal/app'
+    };
+    secrets = {
+      'prod/api-key': JSON.stringify({ key: 'abc123', rotation: { days: 30 } }),
+      'prod/token': 'plain-token'
+    };
+
+    // Local stubs that answer like the SSM and Secrets Manager APIs
+    ssmClient = {
+      send: jest.fn(async (command) => {
+        expect(command).toBeInstanceOf(GetParameterCommand);
+        const value = parameters[command.input.Name];
+        if (value === undefined) {
+          const error = new Error(`Parameter ${command.input.Name} not found.`);
+          error.name = 'ParameterNotFound';
+          throw error;
+        }
+        return { Parameter: { Name: command.input.Name, Value: value } };
+      })
+    };
+    secretsManagerClient = {
+      send: jest.fn(async (command) => {
+        expect(command).toBeInstanceOf(GetSecretValueCommand);
+        const value = secrets[command.input.SecretId];
+        if (value === undefined) {
+          const error = new Error('Secrets Manager can\'t find the specified secret.');
+          error.name = 'ResourceNotFoundException';
+          throw error;
+        }
+        return { SecretString: value };
+      })
+    };
+  });
+
+  test('should return the variables unchanged when there are no references', async () => {
+    const variables = { LOG_LEVEL: 'info' };
+
+    await expect(resolveSecretReferences(variables, { ssmClient, secretsManagerClient })).resolves.toBe(variables);
+    await expect(resolveSecretReferences(undefined, { ssmClient, secretsManagerClient })).resolves.toBeUndefined();
+    expect(ssmClient.send).not.toHaveBeenCalled();
+  });
+
+  test('should resolve SSM parameters with decryption', async () => {
+    const result = await resolveSecretReferences(
+      { DB_URL: 'ssm:/app/db-url', LOG_LEVEL: 'info' },
+      { ssmClient, secretsManagerClient }
+    );
+
+    expect(result).toEqual({ DB_URL: 'postgres://db.internal/app', LOG_LEVEL: 'info' });
+    expect(ssmClient.send.mock.calls[0][0].input).toEqual({ Name: '/app/db-url', WithDecryption: true });
+    expect(core.setSecret).toHaveBeenCalledWith('postgres://db.internal/app');
+    expect(core.info).toHaveBeenCalledWith('Resolved environment variable DB_URL from ssm:/app/db-url');
+  });
+
+  test('should resolve whole secrets and JSON fields', async () => {
+    const result = await resolveSecretReferences({
+      API_KEY: 'secretsmanager:prod/api-key#key',
+      ROTATION: 'secretsmanager:prod/api-key#rotation',
+      TOKEN: 'secretsmanager:prod/token'
+    }, { ssmClient, secretsManagerClient });
+
+    expect(result).toEqual({
+      API_KEY: 'abc123',
+      ROTATION: '{"days":30}',
+      TOKEN: 'plain-token'
+    });
+    expect(core.setSecret).toHaveBeenCalledWith('abc123');
+    expect(core.setSecret).toHaveBeenCalledWith('plain-token');
+  });
+
+  test('should look up a repeated reference once', async () => {
+    await resolveSecretReferences(
+      { PRIMARY_DB: 'ssm:/app/db-url', REPLICA_DB: 'ssm:/app/db-url' },
+      { ssmClient, secretsManagerClient }
+    );
+
+    expect(ssmClient.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail when a parameter does not exist', async () => {
+    await expect(resolveSecretReferences({ DB_URL: 'ssm:/app/missing' }, { ssmClient, secretsManagerClient }))
+      .rejects.toThrow('Parameter /app/missing not found.');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to resolve environment variable DB_URL from ssm:/app/missing: Parameter /app/missing not found.'
+    );
+  });
+
+  test('should fail when a secret field does not exist', async () => {
+    await expect(resolveSecretReferences({ API_KEY: 'secretsmanager:prod/api-key#missing' }, { ssmClient, secretsManagerClient }))
+      .rejects.toThrow('Secret prod/api-key has no field missing');
+  });
+
+  test('should fail when reading a field from a non-JSON secret', async () => {
+    await expect(resolveSecretReferences({ TOKEN: 'secretsmanager:prod/token#value' }, { ssmClient, secretsManagerClient }))
+      .rejects.toThrow('Secret prod/token is not a JSON object, so field value cannot be read');
+  });
+
+  test('should report permission errors', async () => {
+    const accessError = new Error('not authorized to perform ssm:GetParameter');
+    accessError.name = 'AccessDeniedException';
+    ssmClient.send.mockRejectedValue(accessError);
+
+    await expect(resolveSecretReferences({ DB_URL: 'ssm:/app/db-url' }, { ssmClient, secretsManagerClient }))
+      .rejects.toThrow('not authorized');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed with error: Permissions error: not authorized to perform ssm:GetParameter. Check IAM roles.'
+    );
+  });
+});
@@ -0,0 +1,154 @@
+const { runSmokeTest, matchesJsonSubset } = require('../index');
+const core = require('@actions/core');
+const fs = require('fs/promises');
+const { InvokeCommand, waitUntilFunctionUpdated } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('fs/promises', () => ({
+  readFile: jest.fn()
+}));
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    InvokeCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'InvokeCommand' })),
+    waitUntilFunctionUpdated: jest.fn()
+  };
+});
+
+describe('Smoke Test Tests', () => {
+  let mockSend;
+  let mockLambdaClient;
+
+  function invokeResponse(payload, extra = {}) {
+    return {
+      StatusCode: 200,
+      Payload: new TextEncoder().encode(JSON.stringify(payload)),
+      LogResult: Buffer.from('START RequestId: 1\nEND RequestId: 1').toString('base64'),
+      ...extra
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    waitUntilFunctionUpdated.mockResolvedValue({});
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should invoke the published version and print the log tail', async () => {
+    mockSend.mockResolvedValue(invokeResponse({ statusCode: 200 }));
+
+    await runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      qualifier: '5',
+      payload: { ping: true }
+    });
+
+    expect(waitUntilFunctionUpdated).toHaveBeenCalled();
+    expect(InvokeCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Qualifier: '5',
+      Payload: Buffer.from('{"ping":true}'),
+      LogType: 'Tail'
+    });
+    expect(core.info).toHaveBeenCalledWith('START RequestId: 1\nEND RequestId: 1');
+    expect(core.info).toHaveBeenCalledWith('Smoke test of test-function:5 passed with status code 200');
+  });
+
+  test('should invoke $LATEST without a qualifier', async () => {
+    mockSend.mockResolvedValue(invokeResponse({}));
+
+    await runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      qualifier: '$LATEST',
+      payload: {}
+    });
+
+    expect(InvokeCommand.mock.calls[0][0]).not.toHaveProperty('Qualifier');
+  });
+
+  test('should read the payload from a file', async () => {
+    fs.readFile.mockResolvedValue('{"source":"file"}');
+    mockSend.mockResolvedValue(invokeResponse({}));
+
+    await runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payloadFile: 'events/smoke.json'
+    });
+
+    expect(fs.readFile).toHaveBeenCalledWith(expect.stringMatching(/events[\\/]smoke\.json$/), 'utf8');
+    expect(InvokeCommand.mock.calls[0][0].Payload).toEqual(Buffer.from('{"source":"file"}'));
+  });
+
+  test('should fail when the function returns an error', async () => {
+    mockSend.mockResolvedValue(invokeResponse({ errorMessage: 'boom' }, { FunctionError: 'Unhandled' }));
+
+    await expect(runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payload: {}
+    })).rejects.toThrow('Invocation of test-function returned a Unhandled error: {"errorMessage":"boom"}');
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Smoke test failed: Invocation of test-function returned a Unhandled error'));
+  });
+
+  test('should match the response against the expected subset', async () => {
+    mockSend.mockResolvedValue(invokeResponse({ statusCode: 200, body: { ok: true, items: [1, 2] }, requestId: 'abc' }));
+
+    await expect(runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payload: {},
+      expected: { statusCode: 200, body: { ok: true } }
+    })).resolves.toBeDefined();
+  });
+
+  test('should fail when the response does not match the expected subset', async () => {
+    mockSend.mockResolvedValue(invokeResponse({ statusCode: 500 }));
+
+    await expect(runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payload: {},
+      expected: { statusCode: 200 }
+    })).rejects.toThrow('Response of test-function does not match smoke-test-expect: {"statusCode":500}');
+  });
+
+  test('should fail when an expected response is not JSON', async () => {
+    mockSend.mockResolvedValue({ StatusCode: 200, Payload: new TextEncoder().encode('not json') });
+
+    await expect(runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payload: {},
+      expected: { ok: true }
+    })).rejects.toThrow('Response of test-function is not valid JSON: not json');
+  });
+
+  test('should report permission errors', async () => {
+    const accessError = new Error('not authorized to perform lambda:InvokeFunction');
+    accessError.name = 'AccessDeniedException';
+    mockSend.mockRejectedValue(accessError);
+
+    await expect(runSmokeTest(mockLambdaClient, {
+      functionName: 'test-function',
+      payload: {}
+    })).rejects.toThrow('not authorized');
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed with error: Permissions error: not authorized to perform lambda:InvokeFunction. Check IAM roles.'
+    );
+  });
+
+  test('should compare JSON subsets', () => {
+    expect(matchesJsonSubset({ a: 1 }, { a: 1, b: 2 })).toBe(true);
+    expect(matchesJsonSubset({ a: { b: [1, { c: 'x' }] } }, { a: { b: [1, { c: 'x', d: 'y' }] } })).toBe(true);
+    expect(matchesJsonSubset({ a: [1] }, { a: [1, 2] })).toBe(false);
+    expect(matchesJsonSubset({ a: null }, { a: null })).toBe(true);
+    expect(matchesJsonSubset({ a: {} }, { a: [] })).toBe(false);
+    expect(matchesJsonSubset('ok', 'ok')).toBe(true);
+    expect(matchesJsonSubset({ a: 1 }, null)).toBe(false);
+  });
+});
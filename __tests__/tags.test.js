@@ -0,0 +1,89 @@
+const { updateFunctionTags } = require('../index');
+const core = require('@actions/core');
+const { ListTagsCommand, TagResourceCommand, UntagResourceCommand } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    ListTagsCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'ListTagsCommand' })),
+    TagResourceCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'TagResourceCommand' })),
+    UntagResourceCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UntagResourceCommand' }))
+  };
+});
+
+describe('Tag Synchronization Tests', () => {
+  const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function';
+  let mockSend;
+  let mockLambdaClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.setFailed = jest.fn();
+    core.debug = jest.fn();
+
+    mockSend = jest.fn().mockImplementation(async (command) => {
+      if (command.type === 'ListTagsCommand') {
+        return {
+          Tags: {
+            CostCenter: '1234',
+            Team: 'payments',
+            Legacy: 'true',
+            'aws:cloudformation:stack-name': 'payments-stack'
+          }
+        };
+      }
+      return {};
+    });
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should add new and changed tags without removing others in add-only mode', async () => {
+    const result = await updateFunctionTags(mockLambdaClient, functionArn, {
+      CostCenter: '5678',
+      Team: 'payments',
+      Environment: 'production'
+    });
+
+    expect(ListTagsCommand).toHaveBeenCalledWith({ Resource: functionArn });
+    expect(TagResourceCommand).toHaveBeenCalledWith({
+      Resource: functionArn,
+      Tags: { CostCenter: '5678', Environment: 'production' }
+    });
+    expect(UntagResourceCommand).not.toHaveBeenCalled();
+    expect(result).toEqual({ added: ['CostCenter', 'Environment'], removed: [] });
+  });
+
+  test('should remove unlisted tags except aws: tags in exact mode', async () => {
+    await updateFunctionTags(mockLambdaClient, functionArn, { CostCenter: '1234', Team: 'payments' }, 'exact');
+
+    expect(TagResourceCommand).not.toHaveBeenCalled();
+    expect(UntagResourceCommand).toHaveBeenCalledWith({ Resource: functionArn, TagKeys: ['Legacy'] });
+  });
+
+  test('should compare tag values as strings', async () => {
+    await updateFunctionTags(mockLambdaClient, functionArn, { CostCenter: 1234, Legacy: true });
+
+    expect(TagResourceCommand).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Tags are up to date');
+  });
+
+  test('should report permission errors', async () => {
+    const accessError = new Error('not authorized to perform lambda:TagResource');
+    accessError.name = 'AccessDeniedException';
+    mockSend.mockRejectedValue(accessError);
+
+    await expect(updateFunctionTags(mockLambdaClient, functionArn, { Team: 'payments' })).rejects.toThrow('not authorized');
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed with error: Permissions error: not authorized to perform lambda:TagResource. Check IAM roles.'
+    );
+  });
+
+  test('should report other errors', async () => {
+    mockSend.mockRejectedValue(new Error('Function not found'));
+
+    await expect(updateFunctionTags(mockLambdaClient, functionArn, { Team: 'payments' }, 'exact')).rejects.toThrow('Function not found');
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to update tags: Function not found');
+  });
+});
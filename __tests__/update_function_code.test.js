@@ -14,11 +14,13 @@ const core = require('@actions/core');
 const { 
   LambdaClient, 
   UpdateFunctionCodeCommand,
+  PublishVersionCommand,
   GetFunctionCommand,
   GetFunctionConfigurationCommand 
 } = require('@aws-sdk/client-lambda');
 const fs = require('fs/promises');
 const path = require('path');
+const crypto = require('crypto');
 const index = require('../index');
 
 describe('Lambda Function Code Tests', () => {
@@ -476,4 +478,168 @@ describe('Lambda Function Code Tests', () => {
 
     expect(core.debug).toHaveBeenCalledWith(error.stack);
   });
+
+  test('Update container image functions with ImageUri', async () => {
+    const mockClient = new LambdaClient();
+    const imageUri = '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-function:v2';
+
+    await index.updateFunctionCode(mockClient, {
+      functionName: 'test-function',
+      imageUri,
+      architectures: 'arm64',
+      publish: true,
+      sourceKmsKeyArn: 'arn:aws:kms:us-east-1:123456789012:key/test-key',
+      currentCodeSha256: 'ZGVwbG95ZWQtZGlnZXN0',
+      dryRun: false,
+      region: 'us-east-1'
+    });
+
+    expect(fs.readFile).not.toHaveBeenCalled();
+    expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith({
+      FunctionName: 'test-function',
+      Architectures: ['arm64'],
+      Publish: true,
+      ImageUri: imageUri
+    });
+    expect(core.setOutput).toHaveBeenCalledWith('version', '2');
+  });
+
+  describe('CodeSha256 comparison', () => {
+    const mockZipContent = Buffer.from('mock zip content');
+    const mockCodeSha256 = crypto.createHash('sha256').update(mockZipContent).digest('base64');
+    const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:test-function';
+    const baseParams = {
+      functionName: 'test-function',
+      finalZipPath: '/mock/path/lambda.zip',
+      useS3Method: false,
+      architectures: 'x86_64',
+      publish: false,
+      dryRun: false,
+      region: 'us-east-1',
+      currentFunctionArn: functionArn
+    };
+
+    beforeEach(() => {
+      fs.readFile.mockResolvedValue(mockZipContent);
+    });
+
+    test('should skip the code update when CodeSha256 matches', async () => {
+      const mockClient = new LambdaClient();
+
+      await index.updateFunctionCode(mockClient, { ...baseParams, currentCodeSha256: mockCodeSha256 });
+
+      expect(UpdateFunctionCodeCommand).not.toHaveBeenCalled();
+      expect(mockClient.send).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith(
+        `Function code is unchanged (CodeSha256: ${mockCodeSha256}), skipping code update`
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('function-arn', functionArn);
+    });
+
+    test('should skip the S3 upload when CodeSha256 matches', async () => {
+      const mockClient = new LambdaClient();
+      const uploadSpy = jest.spyOn(index, 'uploadToS3');
+
+      await index.updateFunctionCode(mockClient, {
+        ...baseParams,
+        useS3Method: true,
+        s3Bucket: 'test-bucket',
+        s3Key: 'test-key',
+        currentCodeSha256: mockCodeSha256
+      });
+
+      expect(uploadSpy).not.toHaveBeenCalled();
+      expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('Using S3 deployment method'));
+      expect(UpdateFunctionCodeCommand).not.toHaveBeenCalled();
+      uploadSpy.mockRestore();
+    });
+
+    test('should publish through PublishVersion when code is unchanged and publish is set', async () => {
+      const mockClient = new LambdaClient();
+      mockClient.send.mockResolvedValue({ FunctionArn: `${functionArn}:3`, Version: '3' });
+
+      await index.updateFunctionCode(mockClient, {
+        ...baseParams,
+        publish: true,
+        revisionId: 'rev-1',
+        currentCodeSha256: mockCodeSha256
+      });
+
+      expect(UpdateFunctionCodeCommand).not.toHaveBeenCalled();
+      expect(PublishVersionCommand).toHaveBeenCalledWith({
+        FunctionName: 'test-function',
+        CodeSha256: mockCodeSha256,
+        RevisionId: 'rev-1'
+      });
+      expect(core.setOutput).toHaveBeenCalledWith('function-arn', `${functionArn}:3`);
+      expect(core.setOutput).toHaveBeenCalledWith('version', '3');
+    });
+
+    test('should update the code when CodeSha256 differs', async () => {
+      const mockClient = new LambdaClient();
+
+      await index.updateFunctionCode(mockClient, { ...baseParams, currentCodeSha256: 'c3RhbGUtaGFzaA==' });
+
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith(expect.objectContaining({
+        FunctionName: 'test-function',
+        ZipFile: mockZipContent
+      }));
+      expect(core.info).toHaveBeenCalledWith(
+        `Function code has changed (CodeSha256: c3RhbGUtaGFzaA== -> ${mockCodeSha256})`
+      );
+    });
+
+    test('should update unchanged code when the architectures changed', async () => {
+      const mockClient = new LambdaClient();
+
+      await index.updateFunctionCode(mockClient, {
+        ...baseParams,
+        architectures: 'arm64',
+        currentArchitectures: ['x86_64'],
+        currentCodeSha256: mockCodeSha256
+      });
+
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Architectures: ['arm64'],
+        ZipFile: mockZipContent
+      }));
+      expect(core.info).toHaveBeenCalledWith(
+        `Function code is unchanged (CodeSha256: ${mockCodeSha256}), updating it to apply architectures`
+      );
+    });
+
+    test('should update unchanged code when a source KMS key is set', async () => {
+      const mockClient = new LambdaClient();
+
+      await index.updateFunctionCode(mockClient, {
+        ...baseParams,
+        architectures: 'arm64',
+        currentArchitectures: ['arm64'],
+        sourceKmsKeyArn: 'arn:aws:kms:us-east-1:123456789012:key/test-key',
+        currentCodeSha256: mockCodeSha256
+      });
+
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith(expect.objectContaining({
+        SourceKmsKeyArn: 'arn:aws:kms:us-east-1:123456789012:key/test-key',
+        ZipFile: mockZipContent
+      }));
+      expect(core.info).toHaveBeenCalledWith(
+        `Function code is unchanged (CodeSha256: ${mockCodeSha256}), updating it to apply source-kms-key-arn`
+      );
+    });
+
+    test('should update the code when force-code-update is set', async () => {
+      const mockClient = new LambdaClient();
+
+      await index.updateFunctionCode(mockClient, {
+        ...baseParams,
+        forceCodeUpdate: true,
+        currentCodeSha256: mockCodeSha256
+      });
+
+      expect(UpdateFunctionCodeCommand).toHaveBeenCalledWith(expect.objectContaining({
+        ZipFile: mockZipContent
+      }));
+    });
+  });
 });
@@ -1,4 +1,5 @@
 const core = require('@actions/core');
+const fs = require('fs');
 const { validateAndResolvePath } = require('../validations');
 const originalValidations = jest.requireActual('../validations');
 
@@ -208,7 +209,32 @@ describe('Validations Tests', () => {
         });
         const result = originalValidations.validateAllInputs();
         expect(result.valid).toBe(false);
-        expect(core.setFailed).toHaveBeenCalledWith('Code-artifacts-dir must be provided');
+        expect(core.setFailed).toHaveBeenCalledWith('Code-artifacts-dir, package-path or image-uri must be provided');
+      });
+      test('should accept package-path instead of code artifacts directory', () => {
+        jest.clearAllMocks();
+        core.getInput.mockImplementation((inputName) => {
+          if (inputName === 'function-name') return 'test-function';
+          if (inputName === 'package-path') return './build/function.zip';
+          return '';
+        });
+        const result = originalValidations.validateAllInputs();
+        expect(result.valid).toBe(true);
+        expect(result.packagePath).toBe('./build/function.zip');
+        expect(result.codeArtifactsDir).toBe('');
+        expect(core.setFailed).not.toHaveBeenCalled();
+      });
+      test('should reject both code artifacts directory and package-path', () => {
+        jest.clearAllMocks();
+        core.getInput.mockImplementation((inputName) => {
+          if (inputName === 'function-name') return 'test-function';
+          if (inputName === 'code-artifacts-dir') return './artifacts';
+          if (inputName === 'package-path') return './build/function.zip';
+          return '';
+        });
+        const result = originalValidations.validateAllInputs();
+        expect(result.valid).toBe(false);
+        expect(core.setFailed).toHaveBeenCalledWith('Only one of code-artifacts-dir, package-path and image-uri can be provided');
       });
     });
     describe('Handler Validation', () => {
@@ -1255,5 +1281,814 @@ describe('Validations Tests', () => {
       expect(result).toBe('/base/path/file.js');
     });
   });
-});
+  describe('Container Image Inputs', () => {
+    const imageUri = '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-function:latest';
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should accept image-uri and skip handler and runtime', () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'function-name': 'test-function',
+          'image-uri': imageUri,
+          'handler': 'index.handler',
+          'runtime': 'nodejs20.x',
+          'image-config': '{"Command":["app.handler"]}'
+        };
+        return inputs[name] || '';
+      });
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.imageUri).toBe(imageUri);
+      expect(result.handler).toBeUndefined();
+      expect(result.runtime).toBeUndefined();
+      expect(result.parsedImageConfig).toEqual({ Command: ['app.handler'] });
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+    test('should accept image digests', () => {
+      const digestUri = `123456789012.dkr.ecr.eu-west-1.amazonaws.com/team/my-function@sha256:${'a'.repeat(64)}`;
+      expect(originalValidations.validateImageUri(digestUri)).toBe(true);
+    });
+    test('should reject invalid image URIs', () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'function-name': 'test-function',
+          'image-uri': 'docker.io/library/node:20'
+        };
+        return inputs[name] || '';
+      });
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid Amazon ECR image URI format: docker.io/library/node:20');
+    });
+    test('should ignore image-config for .zip functions', () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'function-name': 'test-function',
+          'code-artifacts-dir': './src',
+          'image-config': '{"Command":["app.handler"]}'
+        };
+        return inputs[name] || '';
+      });
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.imageConfig).toBeUndefined();
+      expect(result.parsedImageConfig).toBeUndefined();
+      expect(core.warning).toHaveBeenCalledWith('image-config only applies to container image functions and is ignored without image-uri');
+    });
+  });
+  describe('Alias Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should accept an alias when publish is enabled', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'alias': 'live', 'alias-description': 'Production' })[name] || '');
+      core.getBooleanInput.mockImplementation((name) => name === 'publish');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.alias).toBe('live');
+      expect(result.aliasDescription).toBe('Production');
+    });
+    test('should reject an alias without publish', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'alias': 'live' })[name] || '');
+      core.getBooleanInput.mockImplementation(() => false);
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('alias requires publish to be true so the alias can point to a published version');
+    });
+    test('should reject invalid alias names', () => {
+      for (const alias of ['123', 'live$', 'a'.repeat(129)]) {
+        jest.clearAllMocks();
+        expect(originalValidations.validateAliasName(alias)).toBe(false);
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(`Invalid alias name: ${alias}`));
+      }
+      expect(originalValidations.validateAliasName('prod_v2-blue')).toBe(true);
+    });
+  });
+  describe('Traffic Shift Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src',
+      'alias': 'live'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+      core.getBooleanInput.mockImplementation((name) => name === 'publish');
+    });
+    test('should parse canary and linear traffic shifts', () => {
+      expect(originalValidations.parseTrafficShift('canary:10%:5m')).toEqual({ type: 'canary', percentage: 10, intervalSeconds: 300 });
+      expect(originalValidations.parseTrafficShift('linear:25%:2m')).toEqual({ type: 'linear', percentage: 25, intervalSeconds: 120 });
+      expect(originalValidations.parseTrafficShift('linear:12.5%:1h')).toEqual({ type: 'linear', percentage: 12.5, intervalSeconds: 3600 });
+      expect(originalValidations.parseTrafficShift('canary:5%:90')).toEqual({ type: 'canary', percentage: 5, intervalSeconds: 90 });
+    });
+    test('should reject malformed traffic shifts', () => {
+      expect(() => originalValidations.parseTrafficShift('blue-green:10%:5m')).toThrow(`traffic-shift must look like 'canary:10%:5m' or 'linear:25%:2m'`);
+      expect(() => originalValidations.parseTrafficShift('canary:10:5m')).toThrow('traffic-shift must look like');
+      expect(() => originalValidations.parseTrafficShift('canary:100%:5m')).toThrow('traffic-shift percentage must be greater than 0 and less than 100, got: 100%');
+    });
+    test('should expose the parsed traffic shift', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'traffic-shift': 'linear:25%:2m' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedTrafficShift).toEqual({ type: 'linear', percentage: 25, intervalSeconds: 120 });
+    });
+    test('should require an alias for traffic shifting', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'alias': '', 'traffic-shift': 'canary:10%:5m' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('traffic-shift requires an alias');
+    });
+  });
+  describe('Package Filter Inputs', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse newline-separated include and exclude globs', () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'function-name': 'test-function',
+          'code-artifacts-dir': './src',
+          'include': '**/*.js\n  package.json  \r\n\n',
+          'exclude': '**/*.test.js\n**/*.map'
+        };
+        return inputs[name] || '';
+      });
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.include).toEqual(['**/*.js', 'package.json']);
+      expect(result.exclude).toEqual(['**/*.test.js', '**/*.map']);
+    });
+    test('should default to empty include and exclude lists', () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'function-name': 'test-function',
+          'code-artifacts-dir': './src'
+        };
+        return inputs[name] || '';
+      });
+      const result = originalValidations.validateAllInputs();
+      expect(result.include).toEqual([]);
+      expect(result.exclude).toEqual([]);
+    });
+  });
+  describe('Rollback Inputs', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+      core.getInput.mockImplementation((name) => ({ 'function-name': 'test-function', 'code-artifacts-dir': './src' })[name] || '');
+    });
+    test('should default rollback-on-failure to false', () => {
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.rollbackOnFailure).toBe(false);
+    });
+    test('should read rollback-on-failure', () => {
+      core.getBooleanInput.mockImplementation((name) => name === 'rollback-on-failure');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.rollbackOnFailure).toBe(true);
+    });
+  });
+  describe('Smoke Test Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse an inline payload and expected response', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'smoke-test-payload': '{"ping": true}',
+        'smoke-test-expect': '{"statusCode": 200}'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedSmokeTestPayload).toEqual({ ping: true });
+      expect(result.parsedSmokeTestExpect).toEqual({ statusCode: 200 });
+      expect(result.smokeTestPayloadFile).toBeUndefined();
+    });
+    test('should treat a non-JSON payload as a file path', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'smoke-test-payload': 'events/smoke.json' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.smokeTestPayloadFile).toBe('events/smoke.json');
+      expect(result.parsedSmokeTestPayload).toBeUndefined();
+    });
+    test('should reject invalid inline JSON', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'smoke-test-payload': '{"ping": ' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Input validation error: Invalid JSON in smoke-test-payload input'));
+    });
+    test('should require a payload when an expected response is given', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'smoke-test-expect': '{"ok": true}' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('smoke-test-expect requires smoke-test-payload');
+    });
+  });
+  describe('Environment File Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+      process.cwd = jest.fn().mockReturnValue('/workspace');
+    });
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    test('should parse comments, export and unquoted values', () => {
+      const content = [
+        '# database settings',
+        'export DB_HOST=db.internal',
+        'DB_PORT = 5432 # default port',
+        '',
+        'EMPTY='
+      ].join('\n');
+      expect(originalValidations.parseEnvironmentFile(content, {})).toEqual({
+        DB_HOST: 'db.internal',
+        DB_PORT: '5432',
+        EMPTY: ''
+      });
+    });
+    test('should handle single and double quoted values', () => {
+      const content = [
+        'SINGLE=\'literal ${HOME} \\n # not a comment\'',
+        'DOUBLE="tab\\there \\"quoted\\" # kept"',
+        'ESCAPED="\\${HOME}"',
+        'MULTI="line one',
+        'line two"',
+        'KEY_PEM=\'-----BEGIN KEY-----',
+        'abc',
+        '-----END KEY-----\' # trailing comment'
+      ].join('\n');
+      expect(originalValidations.parseEnvironmentFile(content, { HOME: '/home/runner' })).toEqual({
+        SINGLE: 'literal ${HOME} \\n # not a comment',
+        DOUBLE: 'tab\there "quoted" # kept',
+        ESCAPED: '${HOME}',
+        MULTI: 'line one\nline two',
+        KEY_PEM: '-----BEGIN KEY-----\nabc\n-----END KEY-----'
+      });
+    });
+    test('should interpolate runner environment variables', () => {
+      const content = 'URL=https://${HOST}/api\nGREETING="hello ${USER_NAME}"\nMISSING=${NOT_SET}';
+      expect(originalValidations.parseEnvironmentFile(content, { HOST: 'example.com', USER_NAME: 'ci' })).toEqual({
+        URL: 'https://example.com/api',
+        GREETING: 'hello ci',
+        MISSING: ''
+      });
+      expect(core.warning).toHaveBeenCalledWith('environment-file references NOT_SET, which is not set in the runner environment');
+    });
+    test('should reject malformed lines', () => {
+      expect(() => originalValidations.parseEnvironmentFile('NOT AN ASSIGNMENT', {}))
+        .toThrow('environment-file line 1 is not a valid KEY=VALUE assignment');
+      expect(() => originalValidations.parseEnvironmentFile('A=1\nB="unterminated\nC=3', {}))
+        .toThrow('environment-file line 2 has an unterminated " quoted value');
+      expect(() => originalValidations.parseEnvironmentFile('A="x" y', {}))
+        .toThrow('environment-file line 1 has unexpected characters after the closing quote');
+    });
+    test('should merge the file with the environment input', () => {
+      jest.spyOn(fs, 'readFileSync').mockReturnValue('LOG_LEVEL=debug\nREGION=us-east-1\n');
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'environment-file': '.env.production',
+        'environment': '{"LOG_LEVEL":"info"}'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(fs.readFileSync).toHaveBeenCalledWith(expect.stringMatching(/\.env\.production$/), 'utf8');
+      expect(result.parsedEnvironment).toEqual({ LOG_LEVEL: 'info', REGION: 'us-east-1' });
+    });
+    test('should fail when the file cannot be read', () => {
+      jest.spyOn(fs, 'readFileSync').mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'environment-file': '.env' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Input validation error: Failed to read environment-file .env: ENOENT: no such file or directory');
+    });
+    test('should reject a file outside the workspace', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'environment-file': '../../etc/passwd' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Path traversal attempt detected'));
+    });
+  });
+  describe('Environment Mode Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should default to replace mode', () => {
+      core.getInput.mockImplementation((name) => baseInputs[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.environmentMode).toBe('replace');
+      expect(result.environmentRemove).toEqual([]);
+    });
+    test('should parse the removal list for merge-remove mode', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'environment-mode': 'merge-remove',
+        'environment-remove': 'OLD_FLAG\nLEGACY_URL'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.environmentRemove).toEqual(['OLD_FLAG', 'LEGACY_URL']);
+    });
+    test('should reject an unknown mode', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'environment-mode': 'append' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('environment-mode must be one of replace, merge or merge-remove, got: append');
+    });
+    test('should require merge-remove mode for a removal list', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'environment-mode': 'merge', 'environment-remove': 'OLD_FLAG' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('environment-remove requires environment-mode to be merge-remove');
+    });
+    test('should reject removing a variable that is also set', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'environment': '{"OLD_FLAG":"1"}',
+        'environment-mode': 'merge-remove',
+        'environment-remove': 'OLD_FLAG'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('environment-remove lists variables that are also set in environment: OLD_FLAG');
+    });
+  });
+  describe('Wait Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should leave the wait settings unset by default', () => {
+      core.getInput.mockImplementation((name) => baseInputs[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.waitTimeoutMinutes).toBeUndefined();
+      expect(result.waitPollIntervalSeconds).toBeUndefined();
+      expect(result.waitBackoff).toBe(false);
+    });
+    test('should parse the wait settings', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'wait-timeout-minutes': '20',
+        'wait-poll-interval-seconds': '10'
+      })[name] || '');
+      core.getBooleanInput.mockImplementation((name) => name === 'wait-backoff');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.waitTimeoutMinutes).toBe(20);
+      expect(result.waitPollIntervalSeconds).toBe(10);
+      expect(result.waitBackoff).toBe(true);
+    });
+    test('should reject invalid wait settings', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'wait-timeout-minutes': '0' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Wait timeout must be a positive whole number of minutes, got: 0');
+
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'wait-poll-interval-seconds': '2.5' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Wait poll interval must be a positive whole number of seconds, got: 2.5');
+    });
+    test('should reject a poll interval that is not shorter than the wait timeout', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'wait-poll-interval-seconds': '400' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Wait poll interval must be less than the wait timeout of 300 seconds, got: 400');
+
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'wait-timeout-minutes': '45',
+        'wait-poll-interval-seconds': '1800'
+      })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Wait poll interval must be less than the wait timeout of 1800 seconds, got: 1800');
 
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'wait-timeout-minutes': '10',
+        'wait-poll-interval-seconds': '400'
+      })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(true);
+    });
+  });
+  describe('Concurrency Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+      core.getBooleanInput.mockImplementation((name) => name === 'publish');
+    });
+    test('should parse reserved and provisioned concurrency', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'reserved-concurrency': '50',
+        'provisioned-concurrency': '5',
+        alias: 'live'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedReservedConcurrency).toBe(50);
+      expect(result.parsedProvisionedConcurrency).toBe(5);
+    });
+    test('should accept none to remove reserved concurrency', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'reserved-concurrency': 'none' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedReservedConcurrency).toBeNull();
+    });
+    test('should reject invalid concurrency values', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'reserved-concurrency': '-1' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Reserved concurrency must be a whole number or \'none\', got: -1');
+
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'provisioned-concurrency': '0' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Provisioned concurrency must be a positive whole number, got: 0');
+    });
+    test('should require an alias for provisioned concurrency', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'provisioned-concurrency': '5' })[name] || '');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('provisioned-concurrency requires alias so it is configured on the alias instead of on each published version');
+    });
+  });
+  describe('Function URL Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse the function URL config', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'function-url-config': '{"AuthType":"AWS_IAM","InvokeMode":"RESPONSE_STREAM","Qualifier":"live","Cors":{"AllowOrigins":["*"]}}'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedFunctionUrlConfig).toEqual({
+        AuthType: 'AWS_IAM',
+        InvokeMode: 'RESPONSE_STREAM',
+        Qualifier: 'live',
+        Cors: { AllowOrigins: ['*'] }
+      });
+    });
+    test('should accept none to remove the function URL', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'function-url-config': 'none' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedFunctionUrlConfig).toBeNull();
+    });
+    test('should accept none with an alias to remove the function URL of the alias', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'function-url-config': 'none:live' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedFunctionUrlConfig).toEqual({ Qualifier: 'live', Remove: true });
+    });
+    test('should reject none with a version number', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'function-url-config': 'none:3' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('function-url-config Qualifier must be an alias name or $LATEST'));
+    });
+    test('should reject invalid function URL configs', () => {
+      expect(() => originalValidations.validateFunctionUrlConfig({ AuthType: 'PUBLIC' }))
+        .toThrow('function-url-config AuthType must be \'NONE\' or \'AWS_IAM\'');
+      expect(() => originalValidations.validateFunctionUrlConfig({ AuthType: 'NONE', InvokeMode: 'STREAM' }))
+        .toThrow('function-url-config InvokeMode must be \'BUFFERED\' or \'RESPONSE_STREAM\'');
+      expect(() => originalValidations.validateFunctionUrlConfig({ AuthType: 'NONE', Qualifier: '3' }))
+        .toThrow('function-url-config Qualifier must be an alias name or $LATEST');
+      expect(() => originalValidations.validateFunctionUrlConfig({ AuthType: 'NONE', Cors: [] }))
+        .toThrow('function-url-config Cors must be an object');
+      expect(() => originalValidations.validateFunctionUrlConfig({ AuthType: 'NONE', Url: 'x' }))
+        .toThrow('function-url-config has unsupported keys: Url');
+    });
+    test('should report invalid function URL configs as validation errors', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'function-url-config': '{"InvokeMode":"BUFFERED"}' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Input validation error: function-url-config AuthType must be \'NONE\' or \'AWS_IAM\'');
+    });
+  });
+  describe('Event Source Mapping Inputs', () => {
+    const queueArn = 'arn:aws:sqs:us-east-1:123456789012:orders';
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse event source mappings', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'event-source-mappings': `[{"EventSourceArn":"${queueArn}","BatchSize":10,"Enabled":true}]`
+      })[name] || '');
+      core.getBooleanInput.mockImplementation((name) => name === 'event-source-mappings-delete-unmanaged');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedEventSourceMappings).toEqual([{ EventSourceArn: queueArn, BatchSize: 10, Enabled: true }]);
+      expect(result.deleteUnmanagedEventSourceMappings).toBe(true);
+    });
+    test('should reject invalid event source mappings', () => {
+      expect(() => originalValidations.validateEventSourceMappings({ EventSourceArn: queueArn }))
+        .toThrow('event-source-mappings must be an array of mappings');
+      expect(() => originalValidations.validateEventSourceMappings([{ BatchSize: 10 }]))
+        .toThrow('Each event-source-mapping must include \'EventSourceArn\'');
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn }, { EventSourceArn: queueArn }]))
+        .toThrow(`event-source-mappings lists ${queueArn} more than once`);
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn, BatchSize: 0 }]))
+        .toThrow(`event-source-mapping ${queueArn} BatchSize must be a positive integer`);
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn, Enabled: 'yes' }]))
+        .toThrow(`event-source-mapping ${queueArn} Enabled must be true or false`);
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn, FilterCriteria: {} }]))
+        .toThrow(`event-source-mapping ${queueArn} FilterCriteria must include 'Filters' as an array`);
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn, StartingPosition: 'AT_TIMESTAMP' }]))
+        .toThrow(`event-source-mapping ${queueArn} StartingPosition must be 'TRIM_HORIZON' or 'LATEST'`);
+      expect(() => originalValidations.validateEventSourceMappings([{ EventSourceArn: queueArn, UUID: 'abc' }]))
+        .toThrow(`event-source-mapping ${queueArn} has unsupported keys: UUID`);
+    });
+    test('should require event-source-mappings to delete unmanaged mappings', () => {
+      core.getInput.mockImplementation((name) => baseInputs[name] || '');
+      core.getBooleanInput.mockImplementation((name) => name === 'event-source-mappings-delete-unmanaged');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('event-source-mappings-delete-unmanaged requires event-source-mappings');
+    });
+  });
+  describe('Permission Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse permissions with the default Sid prefix', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'permissions': '[{"StatementId":"api","Principal":"apigateway.amazonaws.com","Qualifier":"live"}]'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedPermissions).toEqual([{ StatementId: 'api', Principal: 'apigateway.amazonaws.com', Qualifier: 'live' }]);
+      expect(result.permissionsSidPrefix).toBe('lambda-deploy-');
+    });
+    test('should reject invalid permissions', () => {
+      expect(() => originalValidations.validatePermissions({ StatementId: 'api' }))
+        .toThrow('permissions must be an array of statements');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api gateway', Principal: '*' }]))
+        .toThrow('Each permission must include a \'StatementId\' of 1-64 letters, numbers, hyphens or underscores');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api' }]))
+        .toThrow('permission api must include \'Principal\'');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api', Principal: '*' }, { StatementId: 'api', Principal: '*' }]))
+        .toThrow('permissions lists api more than once');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api', Principal: '*', Action: 's3:GetObject' }]))
+        .toThrow('permission api Action must be a lambda: action');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api', Principal: '*', SourceAccount: '123' }]))
+        .toThrow('permission api SourceAccount must be a 12-digit account ID');
+      expect(() => originalValidations.validatePermissions([{ StatementId: 'api', Principal: '*', Effect: 'Deny' }]))
+        .toThrow('permission api has unsupported keys: Effect');
+    });
+    test('should allow the same StatementId on different qualifiers', () => {
+      expect(() => originalValidations.validatePermissions([
+        { StatementId: 'api', Principal: '*' },
+        { StatementId: 'api', Principal: '*', Qualifier: 'live' }
+      ])).not.toThrow();
+    });
+    test('should reject an invalid Sid prefix', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'permissions-sid-prefix': 'deploy:' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('permissions-sid-prefix must be 1-36 letters, numbers, hyphens or underscores, got: deploy:');
+    });
+  });
+  describe('Event Invoke Config Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse the event invoke config', () => {
+      core.getInput.mockImplementation((name) => ({
+        ...baseInputs,
+        'event-invoke-config': JSON.stringify({
+          MaximumRetryAttempts: 1,
+          MaximumEventAgeInSeconds: 3600,
+          DestinationConfig: {
+            OnSuccess: { Destination: 'arn:aws:events:us-east-1:123456789012:event-bus/default' },
+            OnFailure: { Destination: 'arn:aws:s3:::failed-events' }
+          }
+        })
+      })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.parsedEventInvokeConfig.MaximumRetryAttempts).toBe(1);
+    });
+    test('should reject invalid event invoke configs', () => {
+      expect(() => originalValidations.validateEventInvokeConfig([]))
+        .toThrow('event-invoke-config must be an object');
+      expect(() => originalValidations.validateEventInvokeConfig({ MaximumRetryAttempts: 3 }))
+        .toThrow('event-invoke-config MaximumRetryAttempts must be an integer between 0 and 2');
+      expect(() => originalValidations.validateEventInvokeConfig({ MaximumEventAgeInSeconds: 30 }))
+        .toThrow('event-invoke-config MaximumEventAgeInSeconds must be an integer between 60 and 21600');
+      expect(() => originalValidations.validateEventInvokeConfig({ DestinationConfig: { OnTimeout: {} } }))
+        .toThrow('event-invoke-config DestinationConfig has unsupported keys: OnTimeout');
+      expect(() => originalValidations.validateEventInvokeConfig({ Retries: 1 }))
+        .toThrow('event-invoke-config has unsupported keys: Retries');
+    });
+    test('should reject destinations that are not supported ARNs', () => {
+      expect(() => originalValidations.validateEventInvokeConfig({ DestinationConfig: { OnFailure: { Destination: 'failed-events' } } }))
+        .toThrow('event-invoke-config DestinationConfig OnFailure must include a \'Destination\' ARN');
+      expect(() => originalValidations.validateEventInvokeConfig({
+        DestinationConfig: { OnSuccess: { Destination: 'arn:aws:dynamodb:us-east-1:123456789012:table/events' } }
+      })).toThrow('event-invoke-config DestinationConfig OnSuccess must include a \'Destination\' ARN');
+      expect(() => originalValidations.validateEventInvokeConfig({
+        DestinationConfig: { OnSuccess: { Destination: 'arn:aws:lambda:us-east-1:123456789012:function:next-step' } }
+      })).not.toThrow();
+    });
+    test('should report invalid event invoke configs as validation errors', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'event-invoke-config': '{"MaximumRetryAttempts":5}' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Input validation error: event-invoke-config MaximumRetryAttempts must be an integer between 0 and 2');
+    });
+  });
+  describe('Tags Mode Inputs', () => {
+    const baseInputs = {
+      'function-name': 'test-function',
+      'code-artifacts-dir': './src',
+      'tags': '{"Team":"payments"}'
+    };
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should default tags-mode to add-only', () => {
+      core.getInput.mockImplementation((name) => baseInputs[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.tagsMode).toBe('add-only');
+    });
+    test('should accept exact tags-mode', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'tags-mode': 'exact' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(true);
+      expect(result.tagsMode).toBe('exact');
+    });
+    test('should reject unknown tags-mode values', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'tags-mode': 'replace' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('tags-mode must be add-only or exact, got: replace');
+    });
+    test('should reject tags with the aws: prefix', () => {
+      core.getInput.mockImplementation((name) => ({ ...baseInputs, 'tags': '{"aws:createdBy":"me"}' })[name] || '');
+      const result = originalValidations.validateAllInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('Input validation error: tags cannot use the reserved aws: prefix: aws:createdBy');
+    });
+  });
+  describe('Manifest Inputs', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+      process.cwd = jest.fn().mockReturnValue('/workspace');
+    });
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    test('should skip manifest validation without a manifest', () => {
+      core.getInput.mockReturnValue('');
+      expect(originalValidations.validateManifestInputs()).toEqual({ valid: true });
+    });
+    test('should read a YAML manifest', () => {
+      jest.spyOn(fs, 'readFileSync').mockReturnValue('functions:\n  - function-name: orders\n    code-artifacts-dir: services/orders\n');
+      core.getInput.mockImplementation((name) => ({ 'manifest': 'manifest.yml', 'manifest-parallelism': '2' })[name] || '');
+      const result = originalValidations.validateManifestInputs();
+      expect(result).toEqual({
+        valid: true,
+        manifest: 'manifest.yml',
+        manifestParallelism: 2,
+        manifestFunctions: [{ 'function-name': 'orders', 'code-artifacts-dir': 'services/orders' }]
+      });
+      expect(fs.readFileSync).toHaveBeenCalledWith(expect.stringMatching(/manifest\.yml$/), 'utf8');
+    });
+    test('should reject an invalid manifest-parallelism', () => {
+      core.getInput.mockImplementation((name) => ({ 'manifest': 'manifest.yml', 'manifest-parallelism': '0' })[name] || '');
+      const result = originalValidations.validateManifestInputs();
+      expect(result.valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('manifest-parallelism must be a positive integer, got: 0');
+    });
+    test('should reject invalid manifests', () => {
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+      readFileSync.mockReturnValue('functions: []');
+      expect(() => originalValidations.readManifest('manifest.yml'))
+        .toThrow('manifest manifest.yml must list at least one function under \'functions\'');
+      readFileSync.mockReturnValue('functions:\n  - code-artifacts-dir: services/orders');
+      expect(() => originalValidations.readManifest('manifest.yml'))
+        .toThrow('manifest entry 1 must include \'function-name\'');
+      readFileSync.mockReturnValue('{"functions":[{"function-name":"orders"},{"function-name":"orders"}]}');
+      expect(() => originalValidations.readManifest('manifest.json'))
+        .toThrow('manifest lists orders more than once');
+      readFileSync.mockReturnValue('functions:\n  - function-name: orders\n    manifest: other.yml');
+      expect(() => originalValidations.readManifest('manifest.yml'))
+        .toThrow('manifest entry orders cannot set manifest');
+      readFileSync.mockReturnValue('functions: [');
+      expect(() => originalValidations.readManifest('manifest.yml'))
+        .toThrow('Invalid YAML in manifest manifest.yml');
+      expect(() => originalValidations.readManifest('../manifest.yml'))
+        .toThrow('Security error: Path traversal attempt detected');
+    });
+    test('should use manifest entries in place of action inputs', () => {
+      core.getInput.mockImplementation((name) => ({ 'role': 'arn:aws:iam::123456789012:role/lambda-role', 'memory-size': '128' })[name] || '');
+      core.getBooleanInput.mockReturnValue(false);
+      const result = originalValidations.validateAllInputs({
+        'function-name': 'orders',
+        'code-artifacts-dir': 'services/orders',
+        'memory-size': 512,
+        'publish': true,
+        'environment': { TABLE: 'orders' }
+      });
+      expect(result.valid).toBe(true);
+      expect(result.functionName).toBe('orders');
+      expect(result.parsedMemorySize).toBe(512);
+      expect(result.publish).toBe(true);
+      expect(result.parsedEnvironment).toEqual({ TABLE: 'orders' });
+      expect(result.role).toBe('arn:aws:iam::123456789012:role/lambda-role');
+      expect(originalValidations.validateAllInputs().valid).toBe(false);
+    });
+  });
+  describe('Region Inputs', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+    test('should parse a list of regions', () => {
+      core.getInput.mockImplementation((name) => ({ 'regions': 'us-east-1\neu-west-1' })[name] || '');
+      expect(originalValidations.validateRegionInputs()).toEqual({
+        valid: true,
+        regions: [{ region: 'us-east-1', overrides: {} }, { region: 'eu-west-1', overrides: {} }],
+        regionFailurePolicy: 'atomic'
+      });
+    });
+    test('should parse a map of region overrides', () => {
+      expect(originalValidations.parseRegions('{"us-east-1":{"s3-bucket":"artifacts-use1"},"ap-southeast-2":{}}')).toEqual([
+        { region: 'us-east-1', overrides: { 's3-bucket': 'artifacts-use1' } },
+        { region: 'ap-southeast-2', overrides: {} }
+      ]);
+    });
+    test('should reject invalid regions', () => {
+      expect(() => originalValidations.parseRegions('us-east-1\nus-east-1'))
+        .toThrow('regions lists us-east-1 more than once');
+      expect(() => originalValidations.parseRegions('us-east'))
+        .toThrow('regions contains an invalid region name: us-east');
+      expect(() => originalValidations.parseRegions('{"us-east-1":{"code-artifacts-dir":"dist-use1"}}'))
+        .toThrow('regions entry us-east-1 cannot set code-artifacts-dir');
+      expect(() => originalValidations.parseRegions('{"us-east-1":"artifacts-use1"}'))
+        .toThrow('regions entry us-east-1 must be an object of action inputs');
+      expect(() => originalValidations.parseRegions('{}'))
+        .toThrow('regions must list at least one region');
+    });
+    test('should reject an unknown region-failure-policy', () => {
+      core.getInput.mockImplementation((name) => ({ 'regions': 'us-east-1', 'region-failure-policy': 'all-or-nothing' })[name] || '');
+      expect(originalValidations.validateRegionInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('region-failure-policy must be atomic or best-effort, got: all-or-nothing');
+    });
+    test('should reject regions combined with a manifest', () => {
+      core.getInput.mockImplementation((name) => ({ 'regions': 'us-east-1', 'manifest': 'manifest.yml' })[name] || '');
+      expect(originalValidations.validateRegionInputs().valid).toBe(false);
+      expect(core.setFailed).toHaveBeenCalledWith('regions cannot be combined with manifest');
+    });
+    test('should replace {region} in inputs', () => {
+      core.getInput.mockImplementation((name) => ({
+        'function-name': 'test-function',
+        'code-artifacts-dir': './src',
+        's3-bucket': 'artifacts-{region}'
+      })[name] || '');
+      const result = originalValidations.validateAllInputs({}, 'eu-west-1');
+      expect(result.valid).toBe(true);
+      expect(result.s3Bucket).toBe('artifacts-eu-west-1');
+    });
+  });
+});
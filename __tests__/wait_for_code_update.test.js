@@ -0,0 +1,146 @@
+const { waitForCodeUpdate, waitForPublishedVersionActive, updateFunctionCode } = require('../index');
+const core = require('@actions/core');
+const fs = require('fs/promises');
+const { GetFunctionConfigurationCommand, waitUntilFunctionUpdated, waitUntilPublishedVersionActive } = require('@aws-sdk/client-lambda');
+
+jest.mock('@actions/core');
+jest.mock('fs/promises', () => ({
+  readFile: jest.fn()
+}));
+jest.mock('@aws-sdk/client-lambda', () => {
+  return {
+    GetFunctionConfigurationCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'GetFunctionConfigurationCommand' })),
+    UpdateFunctionCodeCommand: jest.fn().mockImplementation((params) => ({ input: params, type: 'UpdateFunctionCodeCommand' })),
+    waitUntilFunctionUpdated: jest.fn(),
+    waitUntilPublishedVersionActive: jest.fn()
+  };
+});
+
+describe('Wait For Code Update Tests', () => {
+  let mockSend;
+  let mockLambdaClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    core.info = jest.fn();
+    core.warning = jest.fn();
+    core.setFailed = jest.fn();
+    core.setOutput = jest.fn();
+    core.debug = jest.fn();
+
+    waitUntilFunctionUpdated.mockResolvedValue({});
+    waitUntilPublishedVersionActive.mockResolvedValue({});
+
+    mockSend = jest.fn();
+    mockLambdaClient = { send: mockSend };
+  });
+
+  test('should report a successful code update', async () => {
+    await waitForCodeUpdate(mockLambdaClient, 'test-function', 5, {});
+
+    expect(core.info).toHaveBeenCalledWith('Code update of test-function finished with status Successful');
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('should report the reason of a failed code update', async () => {
+    waitUntilFunctionUpdated.mockRejectedValue(new Error('{"state":"FAILURE"}'));
+    mockSend.mockResolvedValue({
+      LastUpdateStatus: 'Failed',
+      LastUpdateStatusReason: 'Layer version arn:aws:lambda:us-east-1:123456789012:layer:deps:3 does not exist',
+      LastUpdateStatusReasonCode: 'InvalidConfiguration'
+    });
+
+    await expect(waitForCodeUpdate(mockLambdaClient, 'test-function', 5, {})).rejects.toThrow(
+      'Code update of test-function failed with reason InvalidConfiguration: Layer version arn:aws:lambda:us-east-1:123456789012:layer:deps:3 does not exist'
+    );
+    expect(GetFunctionConfigurationCommand).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+  });
+
+  test('should keep the waiter error when the update did not fail', async () => {
+    const timeoutError = new Error('Waiter timed out');
+    timeoutError.name = 'TimeoutError';
+    waitUntilFunctionUpdated.mockRejectedValue(timeoutError);
+    mockSend.mockResolvedValue({ LastUpdateStatus: 'InProgress' });
+
+    await expect(waitForCodeUpdate(mockLambdaClient, 'test-function', 2, {})).rejects.toThrow(
+      'Timed out waiting for function test-function update to complete after 2 minutes'
+    );
+  });
+
+  test('should wait for the published version to become active', async () => {
+    await waitForPublishedVersionActive(mockLambdaClient, 'test-function', '7', 10, { pollIntervalSeconds: 15 });
+
+    expect(waitUntilPublishedVersionActive).toHaveBeenCalledWith(
+      { client: mockLambdaClient, minDelay: 15, maxDelay: 15, maxWaitTime: 600 },
+      { FunctionName: 'test-function', Qualifier: '7' }
+    );
+    expect(core.info).toHaveBeenCalledWith('Version 7 of test-function is active');
+  });
+
+  test('should report why a published version failed', async () => {
+    waitUntilPublishedVersionActive.mockRejectedValue(new Error('{"state":"FAILURE"}'));
+    mockSend.mockResolvedValue({
+      State: 'Failed',
+      StateReason: 'SnapStart initialization failed',
+      StateReasonCode: 'FunctionError'
+    });
+
+    await expect(waitForPublishedVersionActive(mockLambdaClient, 'test-function', '7')).rejects.toThrow(
+      'Version 7 of test-function is in state Failed with reason FunctionError: SnapStart initialization failed'
+    );
+    expect(GetFunctionConfigurationCommand).toHaveBeenCalledWith({ FunctionName: 'test-function', Qualifier: '7' });
+  });
+
+  test('should time out waiting for a published version', async () => {
+    const timeoutError = new Error('Waiter timed out');
+    timeoutError.name = 'TimeoutError';
+    waitUntilPublishedVersionActive.mockRejectedValue(timeoutError);
+
+    await expect(waitForPublishedVersionActive(mockLambdaClient, 'test-function', '7', 3)).rejects.toThrow(
+      'Timed out waiting for version 7 of test-function to become active after 3 minutes'
+    );
+  });
+
+  test('should set outputs only after the update and the published version are ready', async () => {
+    fs.readFile.mockResolvedValue(Buffer.from('zip content'));
+    mockSend.mockResolvedValue({
+      FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:test-function',
+      Version: '7'
+    });
+
+    await updateFunctionCode(mockLambdaClient, {
+      functionName: 'test-function',
+      finalZipPath: '/tmp/lambda.zip',
+      publish: true,
+      forceCodeUpdate: true,
+      waitTimeoutMinutes: 10
+    });
+
+    expect(waitUntilFunctionUpdated).toHaveBeenCalledWith(expect.objectContaining({ maxWaitTime: 600 }), { FunctionName: 'test-function' });
+    expect(waitUntilPublishedVersionActive).toHaveBeenCalledWith(expect.any(Object), { FunctionName: 'test-function', Qualifier: '7' });
+    expect(core.setOutput).toHaveBeenCalledWith('version', '7');
+  });
+
+  test('should not set outputs when the code update fails', async () => {
+    fs.readFile.mockResolvedValue(Buffer.from('zip content'));
+    waitUntilFunctionUpdated.mockRejectedValue(new Error('{"state":"FAILURE"}'));
+    mockSend.mockImplementation(async (command) => {
+      if (command.type === 'GetFunctionConfigurationCommand') {
+        return { LastUpdateStatus: 'Failed', LastUpdateStatusReason: 'Image not found', LastUpdateStatusReasonCode: 'ImageDeleted' };
+      }
+      return { FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:test-function', Version: '7' };
+    });
+
+    await expect(updateFunctionCode(mockLambdaClient, {
+      functionName: 'test-function',
+      finalZipPath: '/tmp/lambda.zip',
+      publish: true,
+      forceCodeUpdate: true
+    })).rejects.toThrow('Code update of test-function failed with reason ImageDeleted: Image not found');
+
+    expect(core.setOutput).not.toHaveBeenCalled();
+    expect(waitUntilPublishedVersionActive).not.toHaveBeenCalled();
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to update function code: Code update of test-function failed with reason ImageDeleted: Image not found');
+  });
+});
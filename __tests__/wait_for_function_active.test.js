@@ -177,4 +177,44 @@ describe('Wait For Function Active Test', () => {
     
     expect(core.info).toHaveBeenCalledWith('Wait time capped to maximum of 30 minutes');
   });
+  test('should poll at the configured interval', async () => {
+    
+    const mockSend = jest.fn()
+      .mockResolvedValueOnce({ State: 'Pending' })
+      .mockResolvedValueOnce({ State: 'Active' });
+    const mockClient = { send: mockSend };
+    
+    const functionPromise = waitForFunctionActive(mockClient, 'test-function', 5, { pollIntervalSeconds: 20 });
+    
+    await jest.advanceTimersByTimeAsync(19000);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    await functionPromise;
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+  test('should back off exponentially when enabled', async () => {
+    
+    const mockSend = jest.fn()
+      .mockResolvedValueOnce({ State: 'Pending' })
+      .mockResolvedValueOnce({ State: 'Pending' })
+      .mockResolvedValueOnce({ State: 'Pending' })
+      .mockResolvedValueOnce({ State: 'Active' });
+    const mockClient = { send: mockSend };
+    
+    const functionPromise = waitForFunctionActive(mockClient, 'test-function', 5, { pollIntervalSeconds: 5, backoff: true });
+    
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    
+    await jest.advanceTimersByTimeAsync(9000);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    
+    await jest.advanceTimersByTimeAsync(20000);
+    await functionPromise;
+    expect(mockSend).toHaveBeenCalledTimes(4);
+  });
 });
@@ -114,4 +114,39 @@ describe('waitForFunctionUpdated function', () => {
       expect.any(Object)
     );
   });
+  test('should poll at a fixed configured interval', async () => {
+    
+    waitUntilFunctionUpdated.mockResolvedValue({});
+    
+    await waitForFunctionUpdated(mockLambdaClient, 'test-function', 20, { pollIntervalSeconds: 15 });
+    
+    expect(waitUntilFunctionUpdated).toHaveBeenCalledWith(
+      expect.objectContaining({
+        minDelay: 15,
+        maxDelay: 15,
+        maxWaitTime: 20 * 60
+      }),
+      expect.any(Object)
+    );
+  });
+  test('should let the waiter back off from the configured interval', async () => {
+    
+    waitUntilFunctionUpdated.mockResolvedValue({});
+    
+    await waitForFunctionUpdated(mockLambdaClient, 'test-function', 5, { pollIntervalSeconds: 15, backoff: true });
+    
+    const waiterConfig = waitUntilFunctionUpdated.mock.calls[0][0];
+    expect(waiterConfig.minDelay).toBe(15);
+    expect(waiterConfig.maxDelay).toBe(120);
+  });
+  test('should raise the maximum backoff delay to an interval longer than 120 seconds', async () => {
+    
+    waitUntilFunctionUpdated.mockResolvedValue({});
+    
+    await waitForFunctionUpdated(mockLambdaClient, 'test-function', 5, { pollIntervalSeconds: 150, backoff: true });
+    
+    const waiterConfig = waitUntilFunctionUpdated.mock.calls[0][0];
+    expect(waiterConfig.minDelay).toBe(150);
+    expect(waiterConfig.maxDelay).toBe(150);
+  });
 });
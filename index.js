@@ -1,116 +1,215 @@
 const core = require('@actions/core');
-const { LambdaClient, CreateFunctionCommand, GetFunctionConfigurationCommand, UpdateFunctionConfigurationCommand, UpdateFunctionCodeCommand, waitUntilFunctionUpdated } = require('@aws-sdk/client-lambda');
+const { LambdaClient, CreateFunctionCommand, GetFunctionCommand, GetFunctionConfigurationCommand, UpdateFunctionConfigurationCommand, UpdateFunctionCodeCommand, PublishVersionCommand, GetAliasCommand, CreateAliasCommand, UpdateAliasCommand, InvokeCommand, GetFunctionConcurrencyCommand, PutFunctionConcurrencyCommand, DeleteFunctionConcurrencyCommand, PutProvisionedConcurrencyConfigCommand, GetProvisionedConcurrencyConfigCommand, GetFunctionUrlConfigCommand, CreateFunctionUrlConfigCommand, UpdateFunctionUrlConfigCommand, DeleteFunctionUrlConfigCommand, ListEventSourceMappingsCommand, CreateEventSourceMappingCommand, UpdateEventSourceMappingCommand, DeleteEventSourceMappingCommand, GetPolicyCommand, AddPermissionCommand, RemovePermissionCommand, ListAliasesCommand, GetFunctionEventInvokeConfigCommand, PutFunctionEventInvokeConfigCommand, ListTagsCommand, TagResourceCommand, UntagResourceCommand, waitUntilFunctionUpdated, waitUntilPublishedVersionActive } = require('@aws-sdk/client-lambda');
 const { S3Client, PutObjectCommand, CreateBucketCommand, HeadBucketCommand, PutBucketEncryptionCommand, PutPublicAccessBlockCommand, PutBucketVersioningCommand} = require('@aws-sdk/client-s3');
 const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
 const fs = require('fs/promises'); 
 const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
 const AdmZip = require('adm-zip');
+const { glob } = require('glob');
+const ignore = require('ignore');
 const validations = require('./validations');
 const { version } = require('./package.json');
 async function run() {
   try {  
 
+    // Validating both deployment modes first, since regions cannot be combined with a manifest
+    const regionInputs = validations.validateRegionInputs();
+    if (!regionInputs.valid) {
+      return;
+    }
+    const manifestInputs = validations.validateManifestInputs();
+    if (!manifestInputs.valid) {
+      return;
+    }
+
+    // Deploying every function listed in a manifest
+    if (manifestInputs.manifest) {
+      await withMultipleDeployments(() => deployManifest(manifestInputs));
+      return;
+    }
+
+    // Deploying the same function to several regions
+    if (regionInputs.regions) {
+      await withMultipleDeployments(() => deployRegions(regionInputs));
+      return;
+    }
+
     // Receiving and validating inputs
     const inputs = validations.validateAllInputs();
     if (!inputs.valid) {
       return;
     }
 
-    const {
-      functionName, codeArtifactsDir,
-      ephemeralStorage, parsedMemorySize, timeout,
-      role, codeSigningConfigArn, kmsKeyArn, sourceKmsKeyArn,
-      environment, vpcConfig, deadLetterConfig, tracingConfig, 
-      layers, fileSystemConfigs, imageConfig, snapStart, 
-      loggingConfig, tags,
-      parsedEnvironment, parsedVpcConfig, parsedDeadLetterConfig, 
-      parsedTracingConfig, parsedLayers, parsedFileSystemConfigs, 
-      parsedImageConfig, parsedSnapStart, parsedLoggingConfig, parsedTags,
-      functionDescription, dryRun, publish, revisionId,
-      runtime, handler, architectures
-    } = inputs;
-
-    const region = process.env.AWS_REGION;
-
-    // Set up custom user agent string
-    const customUserAgentString = `LambdaGitHubAction/${version}`;
-    core.info(`Setting custom user agent: ${customUserAgentString}`);
-
-    // Creating new Lambda client
-    const client = new LambdaClient({
-      region,
-      customUserAgent: customUserAgentString
-    });
-      
-    // Handling S3 Buckets
-    const { s3Bucket, useS3Method } = inputs;
-    let s3Key = inputs.s3Key;
-    if (s3Bucket && !s3Key) {
-      s3Key = generateS3Key(functionName);
-      core.info(`No S3 key provided. Auto-generated key: ${s3Key}`);
-    }
-
-    // Determine if function exists
-    let functionExists;
-    if (!dryRun) {
-      core.info(`Checking if ${functionName} exists`);
-      functionExists = await checkFunctionExists(client, functionName);
+    await deployFunction(inputs);
+    core.info(inputs.plan ? 'Lambda function deployment plan completed, no changes were made' : 'Lambda function deployment completed successfully');
+    
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Action failed with error: ${error.message}`);
     }
-    if (dryRun) {
-      core.info('DRY RUN MODE: No AWS resources will be created or modified');
-      if (!functionExists) {
-        core.setFailed('DRY RUN MODE can only be used for updating function code of existing functions');
-        return; 
-      }
+    if (error.stack) {
+      core.debug(error.stack);
     }
+  }
+}
+
+// The outputs of a single deployment, such as function-arn, would hold whichever deployment
+// finished last when several are deployed, so they are only set for a single deployment.
+// Manifest and region deployments report every result in functions or region-results instead.
+let multipleDeployments = false;
+
+async function withMultipleDeployments(deploy) {
+  multipleDeployments = true;
+  try {
+    return await deploy();
+  } finally {
+    multipleDeployments = false;
+  }
+}
+
+function setDeploymentOutput(name, value) {
+  if (!multipleDeployments) {
+    core.setOutput(name, value);
+  }
+}
+
+// Deploys the code and configuration of a single function from validated inputs.
+// options.region overrides AWS_REGION and options.zipPath reuses an already built package.
+// options.keepRollbackState leaves the recorded rollback package for the caller to remove.
+async function deployFunction(inputs, options = {}) {
+  const {
+    functionName, codeArtifactsDir, packagePath, imageUri,
+    ephemeralStorage, parsedMemorySize, timeout,
+    role, codeSigningConfigArn, kmsKeyArn, sourceKmsKeyArn,
+    environment, vpcConfig, deadLetterConfig, tracingConfig, 
+    layers, fileSystemConfigs, imageConfig, snapStart, 
+    loggingConfig, tags,
+    parsedEnvironment, parsedVpcConfig, parsedDeadLetterConfig, 
+    parsedTracingConfig, parsedLayers, parsedFileSystemConfigs, 
+    parsedImageConfig, parsedSnapStart, parsedLoggingConfig, parsedTags,
+    functionDescription, dryRun, plan, publish, revisionId,
+    runtime, handler, architectures, include, exclude, reproducibleZip,
+    forceCodeUpdate, alias, aliasDescription, parsedTrafficShift, rollbackOnFailure,
+    parsedSmokeTestPayload, smokeTestPayloadFile, parsedSmokeTestExpect,
+    environmentMode, environmentRemove,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff,
+    parsedReservedConcurrency, parsedProvisionedConcurrency, parsedFunctionUrlConfig,
+    parsedEventSourceMappings, deleteUnmanagedEventSourceMappings,
+    parsedPermissions, permissionsSidPrefix, parsedEventInvokeConfig, tagsMode
+  } = inputs;
+
+  const region = options.region || process.env.AWS_REGION;
+
+  // Creating new Lambda client
+  const client = createLambdaClient(region);
     
-    // Creating zip file
+  // Handling S3 Buckets
+  const { s3Bucket, useS3Method } = inputs;
+  let s3Key = inputs.s3Key;
+  if (s3Bucket && !s3Key) {
+    s3Key = generateS3Key(functionName);
+    core.info(`No S3 key provided. Auto-generated key: ${s3Key}`);
+  }
+
+  // Resolve SSM and Secrets Manager references in environment variables
+  const environmentVariables = await resolveSecretReferences(parsedEnvironment, { region });
+
+  // Determine if function exists
+  let functionExists;
+  if (!dryRun) {
+    core.info(`Checking if ${functionName} exists`);
+    functionExists = await checkFunctionExists(client, functionName);
+  }
+  if (dryRun) {
+    core.info('DRY RUN MODE: No AWS resources will be created or modified');
+    if (!functionExists) {
+      throw new Error('DRY RUN MODE can only be used for updating function code of existing functions');
+    }
+  }
+  
+  // Creating zip file, unless a prebuilt package or container image was provided
+  let finalZipPath;
+  if (imageUri) {
+    core.info(`Using container image ${imageUri}`);
+  } else if (options.zipPath) {
+    core.info(`Using deployment package ${options.zipPath}`);
+    finalZipPath = options.zipPath;
+  } else if (packagePath) {
+    core.info(`Using prebuilt deployment package ${packagePath}`);
+    finalZipPath = await resolvePackagePath(packagePath);
+  } else {
     core.info(`Packaging code artifacts from ${codeArtifactsDir}`);
-    let finalZipPath = await packageCodeArtifacts(codeArtifactsDir);
-
-    // Create function
-    await createFunction(client, {
-      functionName, region, finalZipPath, dryRun, role,
-      s3Bucket, s3Key, sourceKmsKeyArn, runtime, handler,
-      functionDescription, parsedMemorySize, timeout,
-      publish, architectures, ephemeralStorage,
-      revisionId, vpcConfig, parsedEnvironment, deadLetterConfig,
-      tracingConfig, layers, fileSystemConfigs, imageConfig,
-      snapStart, loggingConfig, tags, kmsKeyArn, codeSigningConfigArn,
-      parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig,
-      parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
-      parsedSnapStart, parsedLoggingConfig, parsedTags
-    }, functionExists);
-
-    // Update function configuration
-    core.info(`Getting current configuration for function ${functionName}`);
-    const configCommand = new GetFunctionConfigurationCommand({FunctionName: functionName});
-    let currentConfig = await client.send(configCommand);
-
-    const configChanged = hasConfigurationChanged(currentConfig, {
-      ...(role && { Role: role }),
-      ...(handler && { Handler: handler }),
-      ...(functionDescription && { Description: functionDescription }),
-      ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
-      ...(timeout && { Timeout: timeout }),
-      ...(runtime && { Runtime: runtime }),
-      ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
-      ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
-      ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
-      Environment: { Variables: parsedEnvironment },
-      ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
-      ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
-      ...(layers && { Layers: parsedLayers }),
-      ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
-      ...(imageConfig && { ImageConfig: parsedImageConfig }),
-      ...(snapStart && { SnapStart: parsedSnapStart }),
-      ...(loggingConfig && { LoggingConfig: parsedLoggingConfig })
+    finalZipPath = await packageCodeArtifacts(codeArtifactsDir, { include, exclude, reproducible: reproducibleZip, label: functionName });
+  }
+
+  // Preview the deployment with read-only calls instead of applying it
+  if (plan) {
+    return {
+      plan: await planFunctionDeployment(client, {
+        ...inputs, region, functionExists, finalZipPath, parsedEnvironment: environmentVariables
+      })
+    };
+  }
+
+  // Create function
+  await createFunction(client, {
+    functionName, region, finalZipPath, imageUri, dryRun, role,
+    s3Bucket, s3Key, sourceKmsKeyArn, runtime, handler,
+    functionDescription, parsedMemorySize, timeout,
+    publish, architectures, ephemeralStorage,
+    revisionId, vpcConfig, parsedEnvironment: environmentVariables, deadLetterConfig,
+    tracingConfig, layers, fileSystemConfigs, imageConfig,
+    snapStart, loggingConfig, tags, kmsKeyArn, codeSigningConfigArn,
+    parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig,
+    parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
+    parsedSnapStart, parsedLoggingConfig, parsedTags,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  }, functionExists);
+
+  // Update function configuration
+  core.info(`Getting current configuration for function ${functionName}`);
+  const configCommand = new GetFunctionConfigurationCommand({FunctionName: functionName});
+  let currentConfig = await client.send(configCommand);
+
+  const packageType = imageUri ? 'Image' : 'Zip';
+  if (currentConfig.PackageType && currentConfig.PackageType !== packageType) {
+    throw new Error(`Function ${functionName} has package type ${currentConfig.PackageType} and cannot be deployed as a ${packageType} package`);
+  }
+
+  // Record what is currently deployed so a failed rollout can be rolled back
+  let rollbackState = null;
+  if (rollbackOnFailure && functionExists && !dryRun) {
+    rollbackState = await captureRollbackState(client, {
+      functionName, alias, s3Bucket, region,
+      waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+    });
+  }
+
+  // The recorded package is only needed until the rollout has finished or failed
+  let codeResponse;
+  try {
+    const targetEnvironment = resolveEnvironmentVariables(currentConfig.Environment?.Variables, {
+      environmentMode,
+      parsedEnvironment: environmentVariables,
+      environmentRemove
     });
 
+    const configChanged = await hasConfigurationChanged(currentConfig, getDesiredConfiguration(inputs, targetEnvironment));
+
     if (configChanged) {
       if (dryRun) {
         core.info('[DRY RUN] Configuration updates are not simulated in dry run mode');
-        return;
+        return { functionArn: currentConfig.FunctionArn, rollbackState };
       } 
 
       await updateFunctionConfiguration(client, {
@@ -124,7 +223,7 @@ async function run() {
         kmsKeyArn,
         ephemeralStorage,
         vpcConfig,
-        parsedEnvironment,
+        parsedEnvironment: targetEnvironment,
         deadLetterConfig,
         tracingConfig,
         layers,
@@ -139,16 +238,38 @@ async function run() {
         parsedFileSystemConfigs,
         parsedImageConfig,
         parsedSnapStart,
-        parsedLoggingConfig
+        parsedLoggingConfig,
+        waitTimeoutMinutes,
+        waitPollIntervalSeconds,
+        waitBackoff
       });
     } else {
       core.info('No configuration changes detected');
     }
 
+    // Update reserved concurrency
+    if (parsedReservedConcurrency !== undefined) {
+      if (dryRun) {
+        core.info(`[DRY RUN] Reserved concurrency would be ${parsedReservedConcurrency === null ? 'removed' : `set to ${parsedReservedConcurrency}`}`);
+      } else {
+        await updateReservedConcurrency(client, functionName, parsedReservedConcurrency);
+      }
+    }
+
+    // New functions are tagged by CreateFunction, existing ones are synchronized here
+    if (parsedTags && functionExists) {
+      if (dryRun) {
+        core.info(`[DRY RUN] Tags would be synchronized in ${tagsMode} mode`);
+      } else {
+        await updateFunctionTags(client, currentConfig.FunctionArn, parsedTags, tagsMode);
+      }
+    }
+
     // Update Function Code
-    await updateFunctionCode(client, {
+    codeResponse = await updateFunctionCode(client, {
       functionName,
       finalZipPath,
+      imageUri,
       useS3Method,
       s3Bucket,
       s3Key,
@@ -158,355 +279,2049 @@ async function run() {
       revisionId,
       sourceKmsKeyArn,
       dryRun,
-      region
+      region,
+      forceCodeUpdate,
+      currentCodeSha256: currentConfig.CodeSha256,
+      currentArchitectures: currentConfig.Architectures,
+      currentFunctionArn: currentConfig.FunctionArn,
+      waitTimeoutMinutes,
+      waitPollIntervalSeconds,
+      waitBackoff
     });
 
-    core.info('Lambda function deployment completed successfully');
-    
+    try {
+      // Invoke the new code before routing alias traffic to it
+      if (parsedSmokeTestPayload !== undefined || smokeTestPayloadFile) {
+        if (dryRun) {
+          core.info('[DRY RUN] Smoke test invocation is skipped in dry run mode');
+        } else {
+          await runSmokeTest(client, {
+            functionName,
+            qualifier: codeResponse?.Version,
+            payload: parsedSmokeTestPayload,
+            payloadFile: smokeTestPayloadFile,
+            expected: parsedSmokeTestExpect,
+            waitTimeoutMinutes,
+            waitPollIntervalSeconds,
+            waitBackoff
+          });
+        }
+      }
+
+      // Point alias to the published version
+      if (alias) {
+        if (dryRun) {
+          core.info(`[DRY RUN] Alias ${alias} would be pointed to the published version`);
+          if (parsedTrafficShift) {
+            core.info(`[DRY RUN] Traffic would be shifted with weights: ${getTrafficShiftWeights(parsedTrafficShift).join('%, ')}%`);
+          }
+        } else {
+          await updateFunctionAlias(client, {
+            functionName,
+            alias,
+            aliasDescription,
+            functionVersion: codeResponse?.Version,
+            trafficShift: parsedTrafficShift
+          });
+        }
+      }
+
+      // Configure provisioned concurrency on the alias
+      if (parsedProvisionedConcurrency) {
+        if (dryRun) {
+          core.info(`[DRY RUN] Provisioned concurrency would be set to ${parsedProvisionedConcurrency}`);
+        } else {
+          await updateProvisionedConcurrency(client, {
+            functionName,
+            qualifier: alias,
+            provisionedConcurrency: parsedProvisionedConcurrency,
+            waitTimeoutMinutes,
+            waitPollIntervalSeconds,
+            waitBackoff
+          });
+        }
+      }
+    } catch (error) {
+      if (rollbackState) {
+        await rollbackDeployment(client, rollbackState, error);
+      }
+      throw error;
+    }
   } catch (error) {
-    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
-      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
-    } else if (error.$metadata?.httpStatusCode >= 500) {
-      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
-    } else if (error.name === 'AccessDeniedException') {
-      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    await removeRollbackPackage(rollbackState);
+    throw error;
+  }
+  if (!options.keepRollbackState) {
+    await removeRollbackPackage(rollbackState);
+  }
+
+  // Update function URL
+  if (parsedFunctionUrlConfig !== undefined) {
+    if (dryRun) {
+      core.info(`[DRY RUN] Function URL would be ${!parsedFunctionUrlConfig || parsedFunctionUrlConfig.Remove ? 'removed' : 'created or updated'}`);
     } else {
-      core.setFailed(`Action failed with error: ${error.message}`);
-    }
-    if (error.stack) {
-      core.debug(error.stack);
+      await updateFunctionUrlConfig(client, functionName, parsedFunctionUrlConfig);
     }
   }
-}
 
-// Helper functions for zip files
-async function packageCodeArtifacts(artifactsDir) {
-  const tempDir = path.join(require('os').tmpdir(), `lambda-temp-${Date.now()}`);
-  const zipPath = path.join(require('os').tmpdir(), `lambda-function-${Date.now()}.zip`);
-  
-  try {
-    try {
-      await fs.rm(tempDir, { recursive: true, force: true });
-    } catch (error) {
+  // Update asynchronous invocation configuration
+  if (parsedEventInvokeConfig) {
+    if (dryRun) {
+      core.info('[DRY RUN] Asynchronous invocation configuration would be updated if changed');
+    } else {
+      await updateEventInvokeConfig(client, functionName, parsedEventInvokeConfig);
     }
-    
-    await fs.mkdir(tempDir, { recursive: true });
+  }
 
-    const workingDir = process.cwd();
-    
-    if (!artifactsDir) {
-      throw new Error('Code artifacts directory path must be provided');
-    }
-    
-    const resolvedArtifactsDir = validations.validateAndResolvePath(artifactsDir, workingDir);
-    
-    core.info(`Copying artifacts from ${resolvedArtifactsDir} to ${tempDir}`);
-    
-    try {
-      await fs.access(resolvedArtifactsDir);
-    } catch (error) {
-      throw new Error(`Code artifacts directory '${resolvedArtifactsDir}' does not exist or is not accessible: ${error.message}`);
-    }
-    
-    const sourceFiles = await fs.readdir(resolvedArtifactsDir);
-    
-    if (sourceFiles.length === 0) {
-      throw new Error(`Code artifacts directory '${resolvedArtifactsDir}' is empty, no files to package`);
+  // Reconcile event source mappings of the alias, or of the function without an alias
+  if (parsedEventSourceMappings) {
+    if (dryRun) {
+      core.info(`[DRY RUN] ${parsedEventSourceMappings.length} event source mappings would be reconciled${deleteUnmanagedEventSourceMappings ? ' and unmanaged mappings deleted' : ''}`);
+    } else {
+      await updateEventSourceMappings(client, {
+        functionName,
+        qualifier: alias || undefined,
+        mappings: parsedEventSourceMappings,
+        deleteUnmanaged: deleteUnmanagedEventSourceMappings
+      });
     }
-    
-    core.info(`Found ${sourceFiles.length} files/directories to copy`);
-    
-    for (const file of sourceFiles) {
-      const sourcePath = path.join(resolvedArtifactsDir, file);
-      const destPath = path.join(tempDir, file);
-      
-      core.info(`Copying ${sourcePath} to ${destPath}`);
-      
-      await fs.cp(
-        sourcePath,
-        destPath,
-        { recursive: true }
-      );
+  }
+
+  // Reconcile resource-based policy statements
+  if (parsedPermissions) {
+    if (dryRun) {
+      core.info(`[DRY RUN] ${parsedPermissions.length} permission statements with Sid prefix ${permissionsSidPrefix} would be reconciled`);
+    } else {
+      await updateFunctionPermissions(client, {
+        functionName,
+        permissions: parsedPermissions,
+        sidPrefix: permissionsSidPrefix
+      });
     }
+  }
 
-    core.info('Creating ZIP file with standard options');
-    const zip = new AdmZip();
-    
-    const tempFiles = await fs.readdir(tempDir, { withFileTypes: true });
-    
-    for (const file of tempFiles) {
-      const fullPath = path.join(tempDir, file.name);
-      
-      if (file.isDirectory()) {
-        core.info(`Adding directory: ${file.name}`);
-        zip.addLocalFolder(fullPath, file.name);
-      } else {
-        core.info(`Adding file: ${file.name}`);
-        zip.addLocalFile(fullPath);
+  return {
+    functionArn: codeResponse?.FunctionArn || currentConfig.FunctionArn,
+    version: codeResponse?.Version,
+    rollbackState
+  };
+}
+
+// Helper functions for planning a deployment without making changes
+// Inputs whose resources the plan does not compare with their current state
+const PLAN_NOT_EVALUATED_INPUTS = {
+  'reserved-concurrency': 'parsedReservedConcurrency',
+  'provisioned-concurrency': 'parsedProvisionedConcurrency',
+  'function-url-config': 'parsedFunctionUrlConfig',
+  'event-source-mappings': 'parsedEventSourceMappings',
+  'permissions': 'parsedPermissions',
+  'event-invoke-config': 'parsedEventInvokeConfig'
+};
+
+async function planFunctionDeployment(client, params) {
+  const {
+    functionName, functionExists, region, finalZipPath, imageUri, forceCodeUpdate,
+    parsedEnvironment, environmentMode, environmentRemove,
+    parsedTags, tagsMode, alias, parsedTrafficShift
+  } = params;
+
+  core.info(`PLAN MODE: Comparing ${functionName} with its current state, no AWS resources will be created or modified`);
+
+  try {
+    const current = functionExists
+      ? await client.send(new GetFunctionCommand({ FunctionName: functionName }))
+      : {};
+    const currentConfig = current.Configuration || {};
+
+    const targetEnvironment = resolveEnvironmentVariables(currentConfig.Environment?.Variables, {
+      environmentMode,
+      parsedEnvironment,
+      environmentRemove
+    });
+    const configuration = getConfigurationChanges(currentConfig, getDesiredConfiguration(params, targetEnvironment));
+
+    const currentCode = imageUri ? current.Code?.ImageUri : currentConfig.CodeSha256;
+    const desiredCode = imageUri || await calculateCodeSha256(finalZipPath);
+    const code = {
+      field: imageUri ? 'ImageUri' : 'CodeSha256',
+      current: currentCode || null,
+      desired: desiredCode,
+      changed: currentCode !== desiredCode || !!forceCodeUpdate
+    };
+
+    const tags = [];
+    if (parsedTags) {
+      const currentTags = current.Tags || {};
+      const { tagsToAdd, tagsToRemove } = getTagChanges(currentTags, parsedTags, tagsMode);
+      for (const [key, value] of Object.entries(tagsToAdd)) {
+        tags.push({ key, current: currentTags[key] ?? null, desired: value });
       }
-    }
-    
-    core.info('Writing ZIP file with standard options');
-    zip.writeZip(zipPath);
-    
-    try {
-      const stats = await fs.stat(zipPath);
-      core.info(`Generated ZIP file size: ${stats.size} bytes`);
-      
-      const verifyZip = new AdmZip(zipPath);
-      const entries = verifyZip.getEntries();
-      
-      core.info(`ZIP verification passed - contains ${entries.length} entries:`);
-      for (let i = 0; i < entries.length; i++) {
-        core.info(`  ${i+1}. ${entries[i].entryName} (${entries[i].header.size} bytes)`);
+      for (const key of tagsToRemove) {
+        tags.push({ key, current: currentTags[key], desired: null });
       }
-    } catch (error) {
-      throw new Error(`ZIP validation failed: ${error.message}`);
     }
 
-    return zipPath;
-  } catch (error) {
-    core.error(`Failed to package artifacts: ${error.message}`);
-    throw error;
-  }
-}
+    let aliasPlan = null;
+    if (alias) {
+      const currentAlias = functionExists ? await getFunctionAlias(client, functionName, alias) : null;
+      aliasPlan = {
+        name: alias,
+        action: currentAlias ? 'update' : 'create',
+        currentVersion: currentAlias?.FunctionVersion || null,
+        ...(currentAlias && parsedTrafficShift && { trafficShiftWeights: getTrafficShiftWeights(parsedTrafficShift) })
+      };
+    }
 
+    const notEvaluated = Object.keys(PLAN_NOT_EVALUATED_INPUTS)
+      .filter(input => params[PLAN_NOT_EVALUATED_INPUTS[input]] !== undefined);
 
-//Helper function for checking if function exists
-async function checkFunctionExists(client, functionName) {
-  try {
-    const input = {
-      FunctionName: functionName
+    // Without comparing those inputs, an otherwise unchanged function may still be updated
+    const changed = configuration.length > 0 || code.changed || tags.length > 0 || aliasPlan?.action === 'create';
+    let action = 'create';
+    if (functionExists) {
+      action = changed ? 'update' : (notEvaluated.length > 0 ? 'unknown' : 'no-change');
+    }
+    const plan = {
+      functionName,
+      region,
+      action,
+      configuration,
+      code,
+      tags,
+      alias: aliasPlan,
+      notEvaluated
     };
-    const command = new GetFunctionConfigurationCommand(input);
-    await client.send(command);
-    return true;
+
+    logDeploymentPlan(plan);
+    setDeploymentOutput('plan', JSON.stringify(plan));
+    return plan;
   } catch (error) {
-    if (error.name === 'ResourceNotFoundException') {
-      return false;
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to plan deployment of ${functionName}: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
     }
     throw error;
   }
 }
 
-// Helper functions for creating Lambda function
-async function createFunction(client, inputs, functionExists) {
+// Builds the configuration fields to compare with GetFunctionConfiguration from validated inputs
+function getDesiredConfiguration(inputs, environmentVariables) {
   const {
-    functionName, region, finalZipPath, dryRun, role, s3Bucket, s3Key, 
-    sourceKmsKeyArn, runtime, handler, functionDescription, parsedMemorySize,
-    timeout, publish, architectures, ephemeralStorage, revisionId,
-    vpcConfig, parsedEnvironment, deadLetterConfig, tracingConfig,
-    layers, fileSystemConfigs, imageConfig, snapStart, loggingConfig, tags,
-    kmsKeyArn, codeSigningConfigArn, parsedVpcConfig, parsedDeadLetterConfig,
-    parsedTracingConfig, parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
-    parsedSnapStart, parsedLoggingConfig, parsedTags
+    role, handler, functionDescription, parsedMemorySize, timeout, runtime, kmsKeyArn, ephemeralStorage,
+    vpcConfig, deadLetterConfig, tracingConfig, layers, fileSystemConfigs, imageConfig, snapStart, loggingConfig,
+    parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig, parsedLayers, parsedFileSystemConfigs,
+    parsedImageConfig, parsedSnapStart, parsedLoggingConfig
   } = inputs;
-  
-  if (!functionExists) {
-      if (dryRun) {
-        core.setFailed('DRY RUN MODE can only be used for updating function code of existing functions');
-        return; 
-      }
 
-      core.info(`Function ${functionName} doesn't exist, creating new function`);
+  return {
+    ...(role && { Role: role }),
+    ...(handler && { Handler: handler }),
+    ...(functionDescription && { Description: functionDescription }),
+    ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
+    ...(timeout && { Timeout: timeout }),
+    ...(runtime && { Runtime: runtime }),
+    ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
+    ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
+    ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
+    ...(environmentVariables && { Environment: { Variables: environmentVariables } }),
+    ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
+    ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
+    ...(layers && { Layers: parsedLayers }),
+    ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
+    ...(imageConfig && { ImageConfig: parsedImageConfig }),
+    ...(snapStart && { SnapStart: parsedSnapStart }),
+    ...(loggingConfig && { LoggingConfig: parsedLoggingConfig })
+  };
+}
 
-      if(!role) {
-        core.setFailed('Role ARN must be provided when creating a new function');
-        return;
+// Lists the fields of desiredConfig that differ from currentConfig. Environment variables are
+// compared one at a time and their values are masked, since they often hold secrets.
+function getConfigurationChanges(currentConfig, desiredConfig) {
+  const changes = [];
+  const desiredVariables = desiredConfig?.Environment?.Variables;
+  const normalizedDesired = normalizeConfiguration({
+    ...cleanNullKeys(desiredConfig),
+    // cleanNullKeys would drop an empty map, which removes every variable, and empty values,
+    // which Lambda keeps and returns as they are
+    ...(desiredVariables && {
+      Environment: { Variables: Object.fromEntries(Object.entries(desiredVariables).filter(([, value]) => typeof value === 'string')) }
+    })
+  });
+  const normalizedCurrent = normalizeConfiguration(currentConfig, normalizedDesired);
+
+  for (const [field, desired] of Object.entries(normalizedDesired)) {
+    const current = normalizedCurrent[field];
+
+    if (field === 'Environment') {
+      const currentVariables = current?.Variables || {};
+      const desiredVariables = desired.Variables || {};
+      const names = new Set([...Object.keys(currentVariables), ...Object.keys(desiredVariables)]);
+      for (const name of names) {
+        if (currentVariables[name] !== desiredVariables[name]) {
+          changes.push({
+            field: `Environment.Variables.${name}`,
+            current: name in currentVariables ? '***' : null,
+            desired: name in desiredVariables ? '***' : null
+          });
+        }
       }
+    } else {
+      diffConfigurationValue(field, current, desired, changes);
+    }
+  }
+
+  return changes;
+}
+
+// GetFunctionConfiguration returns some fields in a different shape than the inputs accept. Each
+// normalizer brings a value into the input shape, given the input value of the same field, so that
+// an unchanged configuration compares as equal.
+const CONFIGURATION_NORMALIZERS = {
+  // Layers are returned as { Arn, CodeSize } objects
+  Layers: (value) => value.map(layer => (typeof layer === 'string' ? layer : layer.Arn)),
+  // VpcId is returned as well, the order of the IDs is not significant and
+  // Ipv6AllowedForDualStack defaults to false
+  VpcConfig: (value, desired) => ({
+    SubnetIds: [...(value.SubnetIds || [])].sort(),
+    SecurityGroupIds: [...(value.SecurityGroupIds || [])].sort(),
+    ...((value.Ipv6AllowedForDualStack || desired?.Ipv6AllowedForDualStack !== undefined) && {
+      Ipv6AllowedForDualStack: value.Ipv6AllowedForDualStack || false
+    })
+  }),
+  // Lambda fills in the log group and log levels, so only the fields set in the input are compared
+  LoggingConfig: (value, desired) => Object.fromEntries(
+    Object.entries(value).filter(([key]) => desired && key in desired)
+  ),
+  // OptimizationStatus is returned as well
+  SnapStart: (value) => ({ ApplyOn: value.ApplyOn })
+};
+
+function normalizeConfiguration(config, desiredConfig = config) {
+  const normalized = { ...config };
+
+  // The image configuration is returned wrapped in ImageConfigResponse
+  if (normalized.ImageConfigResponse && !('ImageConfig' in normalized)) {
+    normalized.ImageConfig = normalized.ImageConfigResponse.ImageConfig;
+  }
+
+  for (const [field, normalize] of Object.entries(CONFIGURATION_NORMALIZERS)) {
+    if (normalized[field] !== undefined && normalized[field] !== null) {
+      normalized[field] = normalize(normalized[field], desiredConfig[field]);
+    }
+  }
+
+  return normalized;
+}
+
+// Appends the differences between current and desired to changes, descending into objects and
+// arrays so each change names a single value, e.g. VpcConfig.SubnetIds[1]
+function diffConfigurationValue(field, current, desired, changes) {
+  if (Array.isArray(current) && Array.isArray(desired)) {
+    for (let i = 0; i < Math.max(current.length, desired.length); i++) {
+      diffConfigurationValue(`${field}[${i}]`, current[i], desired[i], changes);
+    }
+  } else if (isPlainObject(current) && isPlainObject(desired)) {
+    const keys = new Set([...Object.keys(current), ...Object.keys(desired)]);
+    for (const key of keys) {
+      diffConfigurationValue(`${field}.${key}`, current[key], desired[key], changes);
+    }
+  } else if (!deepEqual(current ?? null, desired ?? null)) {
+    changes.push({ field, current: current ?? null, desired: desired ?? null });
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function logDeploymentPlan(plan) {
+  core.info(`Plan for ${plan.functionName}: ${plan.action}`);
+  for (const { field, current, desired } of plan.configuration) {
+    core.info(`  ${field}: ${JSON.stringify(current)} -> ${JSON.stringify(desired)}`);
+  }
+  if (plan.code.changed) {
+    core.info(`  Code ${plan.code.field}: ${JSON.stringify(plan.code.current)} -> ${JSON.stringify(plan.code.desired)}`);
+  } else {
+    core.info(`  Code ${plan.code.field}: unchanged`);
+  }
+  for (const { key, current, desired } of plan.tags) {
+    core.info(`  Tag ${key}: ${JSON.stringify(current)} -> ${JSON.stringify(desired)}`);
+  }
+  if (plan.alias) {
+    const from = plan.alias.currentVersion ? ` from version ${plan.alias.currentVersion}` : '';
+    core.info(`  Alias ${plan.alias.name}: ${plan.alias.action}${from}`);
+  }
+  if (plan.notEvaluated.length > 0) {
+    core.info(`  Not evaluated: ${plan.notEvaluated.join(', ')}`);
+  }
+}
+
+function createLambdaClient(region) {
+  // Set up custom user agent string
+  const customUserAgentString = `LambdaGitHubAction/${version}`;
+  core.info(`Setting custom user agent: ${customUserAgentString}`);
+
+  return new LambdaClient({
+    region,
+    customUserAgent: customUserAgentString
+  });
+}
+
+// Helper functions for deploying the functions listed in a manifest
+async function deployManifest(manifestInputs) {
+  const { manifest, manifestFunctions, manifestParallelism } = manifestInputs;
+  core.info(`Deploying ${manifestFunctions.length} functions from ${manifest}, up to ${manifestParallelism} at a time`);
+
+  // Validate every entry before anything is deployed
+  const functionInputs = [];
+  const invalidFunctions = [];
+  for (const entry of manifestFunctions) {
+    const inputs = validations.validateAllInputs(entry);
+    if (inputs.valid) {
+      functionInputs.push(inputs);
+    } else {
+      invalidFunctions.push(entry['function-name']);
+    }
+  }
+  if (invalidFunctions.length > 0) {
+    core.setFailed(`Invalid inputs for ${invalidFunctions.join(', ')} in manifest ${manifest}`);
+    return null;
+  }
+
+  const deployments = await mapWithConcurrency(functionInputs, manifestParallelism, async (inputs) => {
+    core.info(`Deploying function ${inputs.functionName}`);
+    try {
+      const deployment = await deployFunction(inputs);
+      return {
+        status: 'succeeded',
+        functionArn: deployment?.functionArn,
+        version: deployment?.version,
+        ...(deployment?.plan && { plan: deployment.plan })
+      };
+    } catch (error) {
+      if (error.stack) {
+        core.debug(error.stack);
+      }
+      return { status: 'failed', error: error.message };
+    }
+  });
+
+  const results = {};
+  functionInputs.forEach((inputs, index) => {
+    results[inputs.functionName] = deployments[index];
+  });
+  return reportDeploymentResults(results, 'functions', 'functions');
+}
+
+// Deploys one package to each region, one region at a time. With the atomic policy the
+// first failure skips the remaining regions and rolls back the regions already deployed.
+async function deployRegions(regionInputs) {
+  const { regions, regionFailurePolicy } = regionInputs;
+  core.info(`Deploying to ${regions.length} regions (${regions.map(({ region }) => region).join(', ')}) with the ${regionFailurePolicy} failure policy`);
+
+  // Validate every region before anything is deployed
+  const deploymentInputs = [];
+  const invalidRegions = [];
+  for (const { region, overrides } of regions) {
+    const inputs = validations.validateAllInputs(overrides, region);
+    if (inputs.valid) {
+      deploymentInputs.push({ region, inputs });
+    } else {
+      invalidRegions.push(region);
+    }
+  }
+  if (invalidRegions.length > 0) {
+    core.setFailed(`Invalid inputs for regions ${invalidRegions.join(', ')}`);
+    return null;
+  }
+
+  // Build the package once and deploy the same file to every region
+  const packageInputs = deploymentInputs[0].inputs;
+  let zipPath;
+  if (packageInputs.packagePath) {
+    zipPath = await resolvePackagePath(packageInputs.packagePath);
+  } else if (packageInputs.codeArtifactsDir && !packageInputs.imageUri) {
+    core.info(`Packaging code artifacts from ${packageInputs.codeArtifactsDir}`);
+    zipPath = await packageCodeArtifacts(packageInputs.codeArtifactsDir, {
+      include: packageInputs.include,
+      exclude: packageInputs.exclude,
+      reproducible: packageInputs.reproducibleZip,
+      label: packageInputs.functionName
+    });
+  }
+
+  const results = {};
+  const deployed = [];
+  let failure = null;
+  for (const { region, inputs } of deploymentInputs) {
+    if (failure && regionFailurePolicy === 'atomic') {
+      results[region] = { status: 'skipped' };
+      continue;
+    }
+
+    core.info(`Deploying ${inputs.functionName} to ${region}`);
+    try {
+      // The atomic policy records every region's previous deployment so it can be restored
+      const deployment = await deployFunction({
+        ...inputs,
+        rollbackOnFailure: inputs.rollbackOnFailure || regionFailurePolicy === 'atomic'
+      }, { region, zipPath, keepRollbackState: true });
+      results[region] = {
+        status: 'succeeded',
+        functionArn: deployment?.functionArn,
+        version: deployment?.version,
+        ...(deployment?.plan && { plan: deployment.plan })
+      };
+      deployed.push({ region, rollbackState: deployment?.rollbackState });
+    } catch (error) {
+      if (error.stack) {
+        core.debug(error.stack);
+      }
+      results[region] = { status: 'failed', error: error.message };
+      failure = failure || new Error(`Deployment to ${region} failed: ${error.message}`);
+    }
+  }
+
+  if (failure && regionFailurePolicy === 'atomic') {
+    for (const { region, rollbackState } of deployed) {
+      if (!rollbackState) {
+        core.warning(`${region} was deployed but is not rolled back, the function did not exist before this deployment`);
+        continue;
+      }
+      try {
+        await rollbackDeployment(createLambdaClient(region), rollbackState, failure);
+      } catch (rollbackResult) {
+        results[region] = {
+          ...results[region],
+          status: rollbackResult.rolledBack ? 'rolled-back' : 'failed',
+          error: rollbackResult.message
+        };
+      }
+    }
+  }
+  for (const { rollbackState } of deployed) {
+    await removeRollbackPackage(rollbackState);
+  }
+
+  return reportDeploymentResults(results, 'region-results', 'regions');
+}
+
+// Logs a summary of several deployments, sets the JSON output and fails the action if any did not succeed
+function reportDeploymentResults(results, outputName, noun) {
+  core.info('Deployment summary:');
+  for (const [name, result] of Object.entries(results)) {
+    const details = result.error ? `: ${result.error}` : (result.version ? ` (version ${result.version})` : '');
+    core.info(`  ${name}: ${result.status}${details}`);
+  }
+  core.setOutput(outputName, JSON.stringify(results));
+
+  const total = Object.keys(results).length;
+  const unsuccessful = Object.keys(results).filter(name => results[name].status !== 'succeeded');
+  if (unsuccessful.length > 0) {
+    core.setFailed(`${unsuccessful.length} of ${total} ${noun} failed to deploy: ${unsuccessful.join(', ')}`);
+  } else {
+    core.info(`All ${total} ${noun} deployed successfully`);
+  }
+  return results;
+}
+
+// Runs the worker on each item with at most limit workers at a time, keeping the order of the items
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+// Helper functions for zip files
+const LAMBDA_IGNORE_FILE = '.lambdaignore';
+// Earliest timestamp representable in a ZIP entry (DOS date format)
+const REPRODUCIBLE_ZIP_DATE = new Date(1980, 0, 1, 0, 0, 0);
+
+async function packageCodeArtifacts(artifactsDir, options = {}) {
+  const { include = [], exclude = [], reproducible = false, label } = options;
+  // The label keeps the paths of packages built at the same time apart
+  const suffix = label ? `${label}-${Date.now()}` : `${Date.now()}`;
+  const tempDir = path.join(require('os').tmpdir(), `lambda-temp-${suffix}`);
+  const zipPath = path.join(require('os').tmpdir(), `lambda-function-${suffix}.zip`);
+  
+  try {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (error) {
+    }
+    
+    await fs.mkdir(tempDir, { recursive: true });
+
+    const workingDir = process.cwd();
+    
+    if (!artifactsDir) {
+      throw new Error('Code artifacts directory path must be provided');
+    }
+    
+    const resolvedArtifactsDir = validations.validateAndResolvePath(artifactsDir, workingDir);
+    
+    core.info(`Copying artifacts from ${resolvedArtifactsDir} to ${tempDir}`);
+    
+    try {
+      await fs.access(resolvedArtifactsDir);
+    } catch (error) {
+      throw new Error(`Code artifacts directory '${resolvedArtifactsDir}' does not exist or is not accessible: ${error.message}`);
+    }
+    
+    const sourceFiles = await fs.readdir(resolvedArtifactsDir);
+    
+    if (sourceFiles.length === 0) {
+      throw new Error(`Code artifacts directory '${resolvedArtifactsDir}' is empty, no files to package`);
+    }
+    
+    const ignoreRules = await readLambdaIgnore(resolvedArtifactsDir);
+
+    if (include.length > 0 || exclude.length > 0 || ignoreRules !== null) {
+      const filteredFiles = await resolveArtifactFiles(resolvedArtifactsDir, { include, exclude, ignoreRules });
+
+      if (filteredFiles.length === 0) {
+        throw new Error(`No files in code artifacts directory '${resolvedArtifactsDir}' matched the include/exclude rules`);
+      }
+
+      core.info(`Found ${filteredFiles.length} files to copy after applying include/exclude rules`);
+
+      for (const file of filteredFiles) {
+        const sourcePath = path.join(resolvedArtifactsDir, file);
+        const destPath = path.join(tempDir, file);
+
+        core.info(`Copying ${sourcePath} to ${destPath}`);
+
+        await fs.mkdir(path.dirname(destPath), { recursive: true });
+        await fs.cp(sourcePath, destPath);
+      }
+    } else {
+      core.info(`Found ${sourceFiles.length} files/directories to copy`);
+
+      for (const file of sourceFiles) {
+        const sourcePath = path.join(resolvedArtifactsDir, file);
+        const destPath = path.join(tempDir, file);
+
+        core.info(`Copying ${sourcePath} to ${destPath}`);
+
+        await fs.cp(
+          sourcePath,
+          destPath,
+          { recursive: true }
+        );
+      }
+    }
+
+    const zip = new AdmZip();
+
+    if (reproducible) {
+      core.info('Creating reproducible ZIP file (sorted entries, fixed timestamps and permissions)');
+      await addReproducibleEntries(zip, tempDir);
+    } else {
+      core.info('Creating ZIP file with standard options');
+
+      const tempFiles = await fs.readdir(tempDir, { withFileTypes: true });
+
+      for (const file of tempFiles) {
+        const fullPath = path.join(tempDir, file.name);
+
+        if (file.isDirectory()) {
+          core.info(`Adding directory: ${file.name}`);
+          zip.addLocalFolder(fullPath, file.name);
+        } else {
+          core.info(`Adding file: ${file.name}`);
+          zip.addLocalFile(fullPath);
+        }
+      }
+    }
+    
+    core.info(`Writing ZIP file with ${reproducible ? 'reproducible' : 'standard'} options`);
+    zip.writeZip(zipPath);
+    
+    try {
+      const stats = await fs.stat(zipPath);
+      core.info(`Generated ZIP file size: ${stats.size} bytes`);
+      
+      const verifyZip = new AdmZip(zipPath);
+      const entries = verifyZip.getEntries();
+      
+      core.info(`ZIP verification passed - contains ${entries.length} entries:`);
+      for (let i = 0; i < entries.length; i++) {
+        core.info(`  ${i+1}. ${entries[i].entryName} (${entries[i].header.size} bytes)`);
+      }
+
+      if (reproducible) {
+        core.info(`Reproducible package CodeSha256: ${await calculateCodeSha256(zipPath)}`);
+      }
+    } catch (error) {
+      throw new Error(`ZIP validation failed: ${error.message}`);
+    }
+
+    return zipPath;
+  } catch (error) {
+    core.error(`Failed to package artifacts: ${error.message}`);
+    throw error;
+  }
+}
+
+// Adds every file under rootDir in sorted order with a fixed timestamp and normalized
+// permissions, so identical sources always produce a byte-identical archive
+async function addReproducibleEntries(zip, rootDir) {
+  const files = await glob('**/*', { cwd: rootDir, dot: true, nodir: true, posix: true });
+
+  for (const relativePath of files.sort()) {
+    const fullPath = path.join(rootDir, relativePath);
+    const content = await fs.readFile(fullPath);
+    const stats = await fs.stat(fullPath);
+    const mode = (stats.mode & 0o111) ? 0o755 : 0o644;
+
+    core.info(`Adding file: ${relativePath}`);
+    const entry = zip.addFile(relativePath, content, '', mode);
+    entry.header.time = REPRODUCIBLE_ZIP_DATE;
+  }
+}
+
+// Lambda reports CodeSha256 as the base64-encoded SHA-256 digest of the deployment package
+async function calculateCodeSha256(zipPath) {
+  const content = await fs.readFile(zipPath);
+  return crypto.createHash('sha256').update(content).digest('base64');
+}
+
+// Validates a prebuilt .zip deployment package and returns its resolved path
+async function resolvePackagePath(packagePath) {
+  const resolvedPackagePath = validations.validateAndResolvePath(packagePath, process.cwd());
+
+  let stats;
+  try {
+    stats = await fs.stat(resolvedPackagePath);
+  } catch (error) {
+    throw new Error(`Deployment package '${resolvedPackagePath}' does not exist or is not accessible: ${error.message}`);
+  }
+
+  if (!stats.isFile()) {
+    throw new Error(`Deployment package '${resolvedPackagePath}' is not a file`);
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(resolvedPackagePath).getEntries();
+  } catch (error) {
+    throw new Error(`Deployment package '${resolvedPackagePath}' is not a valid ZIP file: ${error.message}`);
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`Deployment package '${resolvedPackagePath}' is empty`);
+  }
+
+  core.info(`Deployment package verified - ${stats.size} bytes, ${entries.length} entries`);
+  return resolvedPackagePath;
+}
+
+async function readLambdaIgnore(artifactsDir) {
+  try {
+    const content = await fs.readFile(path.join(artifactsDir, LAMBDA_IGNORE_FILE), 'utf8');
+    if (!content) {
+      return null;
+    }
+    core.info(`Applying ignore rules from ${LAMBDA_IGNORE_FILE}`);
+    return content.toString();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read ${LAMBDA_IGNORE_FILE}: ${error.message}`);
+  }
+}
+
+// Returns the artifact files (relative, POSIX-style paths) selected by the include globs,
+// minus the exclude globs and any .lambdaignore rules (gitignore semantics)
+async function resolveArtifactFiles(artifactsDir, { include = [], exclude = [], ignoreRules = null } = {}) {
+  const matches = await glob(include.length > 0 ? include : ['**/*'], {
+    cwd: artifactsDir,
+    dot: true,
+    nodir: true,
+    posix: true,
+    ignore: exclude
+  });
+
+  const ignoreFilter = ignore().add(`/${LAMBDA_IGNORE_FILE}`);
+  if (ignoreRules) {
+    ignoreFilter.add(ignoreRules);
+  }
+
+  return (matches || []).filter(file => !ignoreFilter.ignores(file));
+}
+
+
+//Helper function for checking if function exists
+async function checkFunctionExists(client, functionName) {
+  try {
+    const input = {
+      FunctionName: functionName
+    };
+    const command = new GetFunctionConfigurationCommand(input);
+    await client.send(command);
+    return true;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Helper functions for creating Lambda function
+async function createFunction(client, inputs, functionExists) {
+  const {
+    functionName, region, finalZipPath, imageUri, dryRun, role, s3Bucket, s3Key, 
+    sourceKmsKeyArn, runtime, handler, functionDescription, parsedMemorySize,
+    timeout, publish, architectures, ephemeralStorage, revisionId,
+    vpcConfig, parsedEnvironment, deadLetterConfig, tracingConfig,
+    layers, fileSystemConfigs, imageConfig, snapStart, loggingConfig, tags,
+    kmsKeyArn, codeSigningConfigArn, parsedVpcConfig, parsedDeadLetterConfig,
+    parsedTracingConfig, parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
+    parsedSnapStart, parsedLoggingConfig, parsedTags,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = inputs;
+  
+  if (!functionExists) {
+    if (dryRun) {
+      core.setFailed('DRY RUN MODE can only be used for updating function code of existing functions');
+      return;
+    }
+
+    core.info(`Function ${functionName} doesn't exist, creating new function`);
+
+    if(!role) {
+      core.setFailed('Role ARN must be provided when creating a new function');
+      return;
+    }
+
+    try {
+      core.info(`Creating Lambda function with ${imageUri ? 'container image' : 'deployment package'}`);
+
+      let codeParameter;
+
+      if (imageUri) {
+        codeParameter = {
+          ImageUri: imageUri
+        };
+      } else if (s3Bucket) {
+        try {
+          await uploadToS3(finalZipPath, s3Bucket, s3Key, region);
+          core.info(`Successfully uploaded package to S3: s3://${s3Bucket}/${s3Key}`);
+            
+          codeParameter = {
+            S3Bucket: s3Bucket,
+            S3Key: s3Key,
+            ...(sourceKmsKeyArn && { SourceKmsKeyArn: sourceKmsKeyArn })
+          };
+        } catch (error) {
+          core.setFailed(`Failed to upload package to S3: ${error.message}`);
+          if (error.stack) {
+            core.debug(error.stack);
+          }
+          throw error;
+        }
+      } else {
+        try {
+          const zipFileContent = await fs.readFile(finalZipPath);
+          core.info(`Zip file read successfully, size: ${zipFileContent.length} bytes`);
+            
+          codeParameter = {
+            ZipFile: zipFileContent,
+            ...(sourceKmsKeyArn && { SourceKmsKeyArn: sourceKmsKeyArn })
+          };
+        } catch (error) {
+          if (error.code === 'EACCES') {
+            core.setFailed(`Failed to read Lambda deployment package: Permission denied`);
+            core.error('Permission denied. Check file access permissions.');
+          } else {
+            core.setFailed(`Failed to read Lambda deployment package: ${error.message}`);
+          }
+          if (error.stack) {
+            core.debug(error.stack);
+          }
+          throw error;
+        }
+      }
+
+      const input = {
+        FunctionName: functionName,
+        Code: codeParameter,
+        ...(imageUri && { PackageType: 'Image' }),
+        ...(runtime && { Runtime: runtime }),
+        ...(role && { Role: role }),
+        ...(handler && { Handler: handler }),
+        ...(functionDescription && { Description: functionDescription }),
+        ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
+        ...(timeout && { Timeout: timeout }),
+        ...(publish !== undefined && { Publish: publish }),
+        ...(architectures && { Architectures: Array.isArray(architectures) ? architectures : [architectures] }),
+        ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
+        ...(revisionId && { RevisionId: revisionId }),
+        ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
+        ...(parsedEnvironment && { Environment: { Variables: parsedEnvironment } }),
+        ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
+        ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
+        ...(layers && { Layers: parsedLayers }),
+        ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
+        ...(imageConfig && { ImageConfig: parsedImageConfig }),
+        ...(snapStart && { SnapStart: parsedSnapStart }),
+        ...(loggingConfig && { LoggingConfig: parsedLoggingConfig }),
+        ...(tags && { Tags: parsedTags }),
+        ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
+        ...(codeSigningConfigArn && { CodeSigningConfigArn: codeSigningConfigArn }),
+      };
+
+      core.info(`Creating new Lambda function: ${functionName}`);
+      const command = new CreateFunctionCommand(input);
+      const response = await client.send(command);
+        
+      setDeploymentOutput('function-arn', response.FunctionArn);
+      if (response.Version) {
+        setDeploymentOutput('version', response.Version);
+      }
+        
+      core.info('Lambda function created successfully');
+        
+      core.info(`Waiting for function ${functionName} to become active before proceeding`);
+      await waitForFunctionActive(client, functionName, waitTimeoutMinutes, {
+        pollIntervalSeconds: waitPollIntervalSeconds,
+        backoff: waitBackoff
+      });
+    } catch (error) {
+      if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+        core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+      } else if (error.$metadata?.httpStatusCode >= 500) {
+        core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+      } else if (error.name === 'AccessDeniedException') {
+        core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+      } else {
+        core.setFailed(`Failed to create function: ${error.message}`);
+      }
+        
+      if (error.stack) {
+        core.debug(error.stack);
+      }
+      throw error;
+    }
+  }
+}
+
+async function waitForFunctionActive(client, functionName, waitForMinutes = 5, options = {}) {
+  const MAX_WAIT_MINUTES = 30;
+  const MAX_BACKOFF_DELAY_MS = 60000;
+  const { pollIntervalSeconds = 5, backoff = false } = options;
+  
+  if (waitForMinutes > MAX_WAIT_MINUTES) {
+    waitForMinutes = MAX_WAIT_MINUTES;
+    core.info(`Wait time capped to maximum of ${MAX_WAIT_MINUTES} minutes`);
+  }
+  
+  core.info(`Waiting for function ${functionName} to become active. Will wait for up to ${waitForMinutes} minutes`);
+  
+  const startTime = Date.now();
+  const maxWaitTimeMs = waitForMinutes * 60 * 1000;
+  let delayBetweenChecksMs = pollIntervalSeconds * 1000;
+  let lastState = null;
+  const waitBeforeNextCheck = async () => {
+    await new Promise(resolve => setTimeout(resolve, delayBetweenChecksMs));
+    if (backoff) {
+      delayBetweenChecksMs = Math.min(delayBetweenChecksMs * 2, MAX_BACKOFF_DELAY_MS);
+    }
+  };
+  
+  while (Date.now() - startTime < maxWaitTimeMs) {
+    try {
+      const command = new GetFunctionConfigurationCommand({ FunctionName: functionName });
+      const response = await client.send(command);
+      
+      const currentState = response.State;
+      
+      if (currentState !== lastState) {
+        core.info(`Function ${functionName} is in state: ${currentState}`);
+        lastState = currentState;
+      }
+      
+      if (currentState === 'Active') {
+        core.info(`Function ${functionName} is now active`);
+        return;
+      } else if (currentState === 'Failed') {
+        throw new Error(`Function ${functionName} deployment failed with reason: ${response.StateReason || 'Unknown reason'}`);
+      }
+      
+      await waitBeforeNextCheck();
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        throw new Error(`Function ${functionName} not found`);
+      } else if (error.$metadata && error.$metadata.httpStatusCode === 403) {
+        throw new Error(`Permission denied while checking function ${functionName} status`);
+      } else {
+        core.warning(`Function status check error: ${error.message}`);
+        await waitBeforeNextCheck();
+      }
+    }
+  }
+  
+  throw new Error(`Timed out waiting for function ${functionName} to become active after ${waitForMinutes} minutes`);
+}
+
+// Helper functions for updating Lambda function configuration
+async function updateFunctionConfiguration(client, params) {
+  const {
+    functionName, role, handler, functionDescription, parsedMemorySize,
+    timeout, runtime, kmsKeyArn, ephemeralStorage, vpcConfig,
+    parsedEnvironment, deadLetterConfig, tracingConfig, layers,
+    fileSystemConfigs, imageConfig, snapStart, loggingConfig,
+    parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig,
+    parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
+    parsedSnapStart, parsedLoggingConfig,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+
+  try {
+    const input = {
+      FunctionName: functionName,
+      ...(role && { Role: role }),
+      ...(handler && { Handler: handler }),
+      ...(functionDescription && { Description: functionDescription }),
+      ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
+      ...(timeout && { Timeout: timeout }),
+      ...(runtime && { Runtime: runtime }),
+      ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
+      ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
+      ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
+      ...(parsedEnvironment && { Environment: { Variables: parsedEnvironment } }),
+      ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
+      ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
+      ...(layers && { Layers: parsedLayers }),
+      ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
+      ...(imageConfig && { ImageConfig: parsedImageConfig }),
+      ...(snapStart && { SnapStart: parsedSnapStart }),
+      ...(loggingConfig && { LoggingConfig: parsedLoggingConfig })
+    };
+
+    core.info(`Updating function configuration for ${functionName}`);
+    const command = new UpdateFunctionConfigurationCommand(input);
+    await client.send(command);
+    await waitForFunctionUpdated(client, functionName, waitTimeoutMinutes, {
+      pollIntervalSeconds: waitPollIntervalSeconds,
+      backoff: waitBackoff
+    });
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update function configuration: ${error.message}`);
+    }
+    
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error; 
+  }
+}
+
+async function waitForFunctionUpdated(client, functionName, waitForMinutes = 5, options = {}) {
+  const MAX_WAIT_MINUTES = 30;
+  const { pollIntervalSeconds, backoff = false } = options;
+  
+  if (waitForMinutes > MAX_WAIT_MINUTES) {
+    waitForMinutes = MAX_WAIT_MINUTES;
+    core.info(`Wait time capped to maximum of ${MAX_WAIT_MINUTES} minutes`);
+  }
+  
+  core.info(`Waiting for function update to complete. Will wait for ${waitForMinutes} minutes`);
+  
+  try {
+    // The SDK waiter backs off exponentially from minDelay, so a fixed interval needs maxDelay as well.
+    // With backoff, maxDelay keeps the SDK default of 120 seconds unless the interval is longer.
+    await waitUntilFunctionUpdated({
+      client: client,
+      minDelay: pollIntervalSeconds || 2, 
+      ...(pollIntervalSeconds && { maxDelay: backoff ? Math.max(120, pollIntervalSeconds) : pollIntervalSeconds }),
+      maxWaitTime: waitForMinutes * 60, 
+    }, {
+      FunctionName: functionName
+    });
+    
+    core.info('Function update completed successfully');
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Timed out waiting for function ${functionName} update to complete after ${waitForMinutes} minutes`);
+    } else if (error.name === 'ResourceNotFoundException') {
+      throw new Error(`Function ${functionName} not found`);
+    } else if (error.$metadata && error.$metadata.httpStatusCode === 403) {
+      throw new Error(`Permission denied while checking function ${functionName} status`);
+    } else if (error.message && error.message.includes("currently in the following state: 'Pending'")) {
+      core.warning(`Function ${functionName} is in 'Pending' state. Waiting for it to become active...`);
+      await waitForFunctionActive(client, functionName, waitForMinutes, options);
+      core.info(`Function ${functionName} is now active`);
+    } else {
+      core.warning(`Function update check error: ${error.message}`);
+      throw new Error(`Error waiting for function ${functionName} update: ${error.message}`);
+    }
+  }
+}
+
+// Helper function for updating Lambda function code
+async function updateFunctionCode(client, params) {
+  const {
+    functionName, finalZipPath, imageUri, useS3Method, s3Bucket, s3Key,
+    codeArtifactsDir, architectures, publish, revisionId,
+    sourceKmsKeyArn, dryRun, region, forceCodeUpdate,
+    currentCodeSha256, currentArchitectures = ['x86_64'], currentFunctionArn,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+  const waitOptions = { pollIntervalSeconds: waitPollIntervalSeconds, backoff: waitBackoff };
+
+  core.info(`Updating function code for ${functionName} with ${imageUri || finalZipPath}`);
+  
+  try {
+    if (!imageUri && !dryRun && !forceCodeUpdate && currentCodeSha256) {
+      const packageCodeSha256 = await calculateCodeSha256(finalZipPath);
+
+      // Architectures and SourceKmsKeyArn can only be changed through UpdateFunctionCode. The
+      // deployed SourceKmsKeyArn is not part of the function configuration, so it is always applied.
+      const desiredArchitectures = architectures && (Array.isArray(architectures) ? architectures : [architectures]);
+      const codeSettingsChanged = [
+        ...(desiredArchitectures && !deepEqual(desiredArchitectures, currentArchitectures) ? ['architectures'] : []),
+        ...(sourceKmsKeyArn ? ['source-kms-key-arn'] : [])
+      ];
+
+      if (packageCodeSha256 !== currentCodeSha256) {
+        core.info(`Function code has changed (CodeSha256: ${currentCodeSha256} -> ${packageCodeSha256})`);
+      } else if (codeSettingsChanged.length > 0) {
+        core.info(`Function code is unchanged (CodeSha256: ${packageCodeSha256}), updating it to apply ${codeSettingsChanged.join(' and ')}`);
+      } else {
+        core.info(`Function code is unchanged (CodeSha256: ${packageCodeSha256}), skipping code update`);
+        return await publishUnchangedCode(client, {
+          functionName, publish, revisionId, currentCodeSha256, currentFunctionArn,
+          waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+        });
+      }
+    }
+
+    const commonCodeParams = {
+      FunctionName: functionName,
+      ...(architectures && { Architectures: Array.isArray(architectures) ? architectures : [architectures] }),
+      ...(publish !== undefined && { Publish: publish }),
+      ...(revisionId && { RevisionId: revisionId }),
+      ...(sourceKmsKeyArn && !imageUri && { SourceKmsKeyArn: sourceKmsKeyArn })
+    };
+    
+    let codeInput;
+    
+    if (imageUri) {
+      codeInput = {
+        ...commonCodeParams,
+        ImageUri: imageUri
+      };
+    } else if (useS3Method) {
+      core.info(`Using S3 deployment method with bucket: ${s3Bucket}, key: ${s3Key}`);
+
+      await uploadToS3(finalZipPath, s3Bucket, s3Key, region);
+      core.info(`Successfully uploaded package to S3: s3://${s3Bucket}/${s3Key}`);
+      
+      codeInput = {
+        ...commonCodeParams,
+        S3Bucket: s3Bucket,
+        S3Key: s3Key
+      };
+    } else {
+      let zipFileContent;
+      
+      try {
+        zipFileContent = await fs.readFile(finalZipPath);
+      } catch (error) {
+        core.setFailed(`Failed to read Lambda deployment package at ${finalZipPath}: ${error.message}`);
+
+        if (error.code === 'ENOENT') {
+          core.error(`File not found. Ensure the code artifacts directory "${codeArtifactsDir}" contains the required files.`);
+        } else if (error.code === 'EACCES') {
+          core.error('Permission denied. Check file access permissions.');
+        }
+        
+        if (error.stack) {
+          core.debug(error.stack);
+        }
+        
+        throw error;
+      }
+      
+      codeInput = {
+        ...commonCodeParams,
+        ZipFile: zipFileContent
+      };
+      
+      core.info(`Original buffer length: ${zipFileContent.length} bytes`);
+    }
+          
+    if (dryRun) {
+      core.info(`[DRY RUN] Performing dry-run function code update with parameters:`);
+      const logInput = {...codeInput};
+      if (logInput.ZipFile) {
+        logInput.ZipFile = `<Binary data of length ${logInput.ZipFile.length} bytes>`;
+      }
+      core.info(JSON.stringify(logInput, null, 2));
+      codeInput.DryRun = true;
+      
+      const command = new UpdateFunctionCodeCommand(codeInput);
+      const response = await client.send(command);
+      
+      core.info('[DRY RUN] Function code validation passed');
+      setDeploymentOutput('function-arn', response.FunctionArn || `arn:aws:lambda:${region}:000000000000:function:${functionName}`);
+      setDeploymentOutput('version', response.Version || '$LATEST');
+      core.info('[DRY RUN] Function code update simulation completed');
+      return response;
+    } else {
+      const command = new UpdateFunctionCodeCommand(codeInput);
+      const response = await client.send(command);
+
+      await waitForCodeUpdate(client, functionName, waitTimeoutMinutes, waitOptions);
+      if (response.Version && response.Version !== '$LATEST') {
+        await waitForPublishedVersionActive(client, functionName, response.Version, waitTimeoutMinutes, waitOptions);
+      }
+
+      setDeploymentOutput('function-arn', response.FunctionArn);
+      if (response.Version) {
+        setDeploymentOutput('version', response.Version);
+      }
+      return response;
+    }
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update function code: ${error.message}`);
+    }
+    
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error;
+  }
+}
+
+// Reports LastUpdateStatusReason when the waiter stops because the update failed
+async function waitForCodeUpdate(client, functionName, waitForMinutes, options) {
+  try {
+    await waitForFunctionUpdated(client, functionName, waitForMinutes, options);
+  } catch (error) {
+    let currentConfig;
+    try {
+      currentConfig = await client.send(new GetFunctionConfigurationCommand({ FunctionName: functionName }));
+    } catch (configError) {
+      throw error;
+    }
+
+    if (currentConfig?.LastUpdateStatus === 'Failed') {
+      throw new Error(`Code update of ${functionName} failed with reason ${currentConfig.LastUpdateStatusReasonCode || 'Unknown'}: ${currentConfig.LastUpdateStatusReason || 'No reason provided'}`);
+    }
+    throw error;
+  }
+
+  core.info(`Code update of ${functionName} finished with status Successful`);
+}
+
+async function waitForPublishedVersionActive(client, functionName, version, waitForMinutes = 5, options = {}) {
+  const MAX_WAIT_MINUTES = 30;
+  const { pollIntervalSeconds, backoff = false } = options;
+
+  if (waitForMinutes > MAX_WAIT_MINUTES) {
+    waitForMinutes = MAX_WAIT_MINUTES;
+    core.info(`Wait time capped to maximum of ${MAX_WAIT_MINUTES} minutes`);
+  }
+
+  core.info(`Waiting for version ${version} of ${functionName} to become active. Will wait for ${waitForMinutes} minutes`);
+
+  try {
+    await waitUntilPublishedVersionActive({
+      client: client,
+      minDelay: pollIntervalSeconds || 5,
+      ...(pollIntervalSeconds && { maxDelay: backoff ? Math.max(120, pollIntervalSeconds) : pollIntervalSeconds }),
+      maxWaitTime: waitForMinutes * 60
+    }, {
+      FunctionName: functionName,
+      Qualifier: version
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Timed out waiting for version ${version} of ${functionName} to become active after ${waitForMinutes} minutes`);
+    }
+
+    const versionConfig = await client.send(new GetFunctionConfigurationCommand({ FunctionName: functionName, Qualifier: version }));
+    throw new Error(`Version ${version} of ${functionName} is in state ${versionConfig?.State || 'Unknown'} with reason ${versionConfig?.StateReasonCode || 'Unknown'}: ${versionConfig?.StateReason || 'No reason provided'}`);
+  }
+
+  core.info(`Version ${version} of ${functionName} is active`);
+}
+
+// PublishVersion only creates a version when code or configuration changed since the
+// last one, otherwise it returns the latest version, so it is safe to call on skip
+async function publishUnchangedCode(client, params) {
+  const {
+    functionName, publish, revisionId, currentCodeSha256, currentFunctionArn,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+
+  if (!publish) {
+    if (currentFunctionArn) {
+      setDeploymentOutput('function-arn', currentFunctionArn);
+    }
+    return { FunctionArn: currentFunctionArn };
+  }
+
+  core.info(`Publishing version of ${functionName} for unchanged code`);
+  const command = new PublishVersionCommand({
+    FunctionName: functionName,
+    CodeSha256: currentCodeSha256,
+    ...(revisionId && { RevisionId: revisionId })
+  });
+  const response = await client.send(command);
+
+  if (response.Version) {
+    await waitForPublishedVersionActive(client, functionName, response.Version, waitTimeoutMinutes, {
+      pollIntervalSeconds: waitPollIntervalSeconds,
+      backoff: waitBackoff
+    });
+  }
+
+  setDeploymentOutput('function-arn', response.FunctionArn || currentFunctionArn);
+  if (response.Version) {
+    setDeploymentOutput('version', response.Version);
+  }
+  return response;
+}
+
+// Helper function for creating or updating an alias to point at a published version
+async function updateFunctionAlias(client, params) {
+  const { functionName, alias, aliasDescription, functionVersion, trafficShift } = params;
+
+  if (!functionVersion || functionVersion === '$LATEST') {
+    throw new Error(`Cannot update alias ${alias}: no published version of ${functionName} is available`);
+  }
+
+  try {
+    const aliasInput = {
+      FunctionName: functionName,
+      Name: alias,
+      FunctionVersion: functionVersion,
+      ...(aliasDescription && { Description: aliasDescription })
+    };
+
+    let response;
+    const currentAlias = await getFunctionAlias(client, functionName, alias);
+
+    if (currentAlias && trafficShift && currentAlias.FunctionVersion !== functionVersion) {
+      await shiftAliasTraffic(client, {
+        functionName,
+        alias,
+        fromVersion: currentAlias.FunctionVersion,
+        toVersion: functionVersion,
+        trafficShift
+      });
+      core.info(`Completing traffic shift: routing all traffic of alias ${alias} to version ${functionVersion}`);
+      response = await client.send(new UpdateAliasCommand({
+        ...aliasInput,
+        RoutingConfig: { AdditionalVersionWeights: {} }
+      }));
+    } else if (currentAlias) {
+      core.info(`Updating alias ${alias} from version ${currentAlias.FunctionVersion} to version ${functionVersion}`);
+      response = await client.send(new UpdateAliasCommand({
+        ...aliasInput,
+        RoutingConfig: { AdditionalVersionWeights: {} }
+      }));
+    } else {
+      core.info(`Creating alias ${alias} for version ${functionVersion}`);
+      response = await client.send(new CreateAliasCommand(aliasInput));
+    }
+
+    setDeploymentOutput('alias-arn', response.AliasArn);
+    core.info(`Alias ${alias} now points to version ${functionVersion}`);
+    return response;
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update alias ${alias}: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error;
+  }
+}
+
+// Returns the percentages of alias traffic sent to the new version before the final cutover
+function getTrafficShiftWeights(trafficShift) {
+  const { type, percentage } = trafficShift;
+
+  if (type === 'canary') {
+    return [percentage];
+  }
+
+  const weights = [];
+  for (let weight = percentage; weight < 100; weight += percentage) {
+    weights.push(Math.round(weight * 100) / 100);
+  }
+  return weights;
+}
+
+// Gradually moves alias traffic from fromVersion to toVersion using weighted routing,
+// waiting intervalSeconds after each step. The caller performs the final cutover.
+async function shiftAliasTraffic(client, params) {
+  const { functionName, alias, fromVersion, toVersion, trafficShift } = params;
+  const weights = getTrafficShiftWeights(trafficShift);
+
+  core.info(`Shifting traffic of alias ${alias} from version ${fromVersion} to version ${toVersion} (${trafficShift.type}, ${weights.length} step(s) every ${trafficShift.intervalSeconds}s)`);
+
+  for (const [index, percentage] of weights.entries()) {
+    const weight = percentage / 100;
+
+    core.info(`Traffic shift step ${index + 1}/${weights.length}: routing ${percentage}% of alias ${alias} to version ${toVersion}`);
+    await client.send(new UpdateAliasCommand({
+      FunctionName: functionName,
+      Name: alias,
+      FunctionVersion: fromVersion,
+      RoutingConfig: { AdditionalVersionWeights: { [toVersion]: weight } }
+    }));
+
+    await waitForTrafficShiftStep(client, {
+      functionName,
+      alias,
+      toVersion,
+      weight,
+      intervalSeconds: trafficShift.intervalSeconds
+    });
+  }
+}
+
+// Waits for the duration of a traffic shift step, polling the alias to make sure the
+// routing configuration is not changed by someone else in the meantime
+async function waitForTrafficShiftStep(client, params) {
+  const { functionName, alias, toVersion, weight, intervalSeconds } = params;
+  const POLL_INTERVAL_MS = 30000;
+  const endTime = Date.now() + intervalSeconds * 1000;
+
+  while (Date.now() < endTime) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(POLL_INTERVAL_MS, endTime - Date.now())));
+
+    const currentAlias = await getFunctionAlias(client, functionName, alias);
+    const currentWeight = currentAlias?.RoutingConfig?.AdditionalVersionWeights?.[toVersion];
+
+    if (currentWeight !== weight) {
+      throw new Error(`Alias ${alias} routing changed during traffic shifting (expected ${weight * 100}% to version ${toVersion}, found ${currentWeight === undefined ? 'none' : `${currentWeight * 100}%`})`);
+    }
+  }
+}
+
+async function getFunctionAlias(client, functionName, alias) {
+  try {
+    return await client.send(new GetAliasCommand({ FunctionName: functionName, Name: alias }));
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
 
-      try {
-        core.info('Creating Lambda function with deployment package');
-
-        let codeParameter;
+// Helper functions for managing concurrency
+async function updateReservedConcurrency(client, functionName, reservedConcurrency) {
+  try {
+    const current = await client.send(new GetFunctionConcurrencyCommand({ FunctionName: functionName }));
+    const currentReservedConcurrency = current?.ReservedConcurrentExecutions;
 
-        if (s3Bucket) {
-          try {
-            await uploadToS3(finalZipPath, s3Bucket, s3Key, region);
-            core.info(`Successfully uploaded package to S3: s3://${s3Bucket}/${s3Key}`);
-            
-            codeParameter = {
-              S3Bucket: s3Bucket,
-              S3Key: s3Key,
-              ...(sourceKmsKeyArn && { SourceKmsKeyArn: sourceKmsKeyArn })
-            };
-          } catch (error) {
-            core.setFailed(`Failed to upload package to S3: ${error.message}`);
-            if (error.stack) {
-              core.debug(error.stack);
-            }
-            throw error; 
-          }
-        } else {
-          try {
-            const zipFileContent = await fs.readFile(finalZipPath);
-            core.info(`Zip file read successfully, size: ${zipFileContent.length} bytes`);
-            
-            codeParameter = {
-              ZipFile: zipFileContent,
-              ...(sourceKmsKeyArn && { SourceKmsKeyArn: sourceKmsKeyArn })
-            };
-          } catch (error) {
-            if (error.code === 'EACCES') {
-              core.setFailed(`Failed to read Lambda deployment package: Permission denied`);
-              core.error('Permission denied. Check file access permissions.');
-            } else {
-              core.setFailed(`Failed to read Lambda deployment package: ${error.message}`);
-            }
-            if (error.stack) {
-              core.debug(error.stack);
-            }
-            throw error; 
-          }
-        }
+    if (reservedConcurrency === null) {
+      if (currentReservedConcurrency === undefined) {
+        core.info(`Function ${functionName} has no reserved concurrency`);
+        return;
+      }
+      await client.send(new DeleteFunctionConcurrencyCommand({ FunctionName: functionName }));
+      core.info(`Removed reserved concurrency of ${currentReservedConcurrency} from ${functionName}`);
+      return;
+    }
 
-        const input = {
-          FunctionName: functionName,
-          Code: codeParameter,
-          ...(runtime && { Runtime: runtime }),
-          ...(role && { Role: role }),
-          ...(handler && { Handler: handler }),
-          ...(functionDescription && { Description: functionDescription }),
-          ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
-          ...(timeout && { Timeout: timeout }),
-          ...(publish !== undefined && { Publish: publish }),
-          ...(architectures && { Architectures: Array.isArray(architectures) ? architectures : [architectures] }),
-          ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
-          ...(revisionId && { RevisionId: revisionId }),
-          ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
-          Environment: { Variables: parsedEnvironment },
-          ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
-          ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
-          ...(layers && { Layers: parsedLayers }),
-          ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
-          ...(imageConfig && { ImageConfig: parsedImageConfig }),
-          ...(snapStart && { SnapStart: parsedSnapStart }),
-          ...(loggingConfig && { LoggingConfig: parsedLoggingConfig }),
-          ...(tags && { Tags: parsedTags }),
-          ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
-          ...(codeSigningConfigArn && { CodeSigningConfigArn: codeSigningConfigArn }),
-        };
+    if (currentReservedConcurrency === reservedConcurrency) {
+      core.info(`Reserved concurrency of ${functionName} is already ${reservedConcurrency}`);
+      return;
+    }
 
-        core.info(`Creating new Lambda function: ${functionName}`);
-        const command = new CreateFunctionCommand(input);
-        const response = await client.send(command);
-        
-        core.setOutput('function-arn', response.FunctionArn);
-        if (response.Version) {
-          core.setOutput('version', response.Version);
-        }
-        
-        core.info('Lambda function created successfully');
-        
-        core.info(`Waiting for function ${functionName} to become active before proceeding`);
-        await waitForFunctionActive(client, functionName);
-      } catch (error) {
-        if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
-          core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
-        } else if (error.$metadata?.httpStatusCode >= 500) {
-          core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
-        } else if (error.name === 'AccessDeniedException') {
-          core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
-        } else {
-          core.setFailed(`Failed to create function: ${error.message}`);
-        }
-        
-        if (error.stack) {
-          core.debug(error.stack);
-        }
-        throw error; 
-      }
+    await client.send(new PutFunctionConcurrencyCommand({
+      FunctionName: functionName,
+      ReservedConcurrentExecutions: reservedConcurrency
+    }));
+    core.info(`Set reserved concurrency of ${functionName} to ${reservedConcurrency}`);
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update reserved concurrency: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error;
+  }
+}
+
+async function updateProvisionedConcurrency(client, params) {
+  const {
+    functionName, qualifier, provisionedConcurrency,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+
+  try {
+    if (!qualifier || qualifier === '$LATEST') {
+      throw new Error(`Provisioned concurrency requires a published version or alias of ${functionName}`);
+    }
+
+    core.info(`Setting provisioned concurrency of ${functionName}:${qualifier} to ${provisionedConcurrency}`);
+    await client.send(new PutProvisionedConcurrencyConfigCommand({
+      FunctionName: functionName,
+      Qualifier: qualifier,
+      ProvisionedConcurrentExecutions: provisionedConcurrency
+    }));
+
+    await waitForProvisionedConcurrencyReady(client, functionName, qualifier, waitTimeoutMinutes, {
+      pollIntervalSeconds: waitPollIntervalSeconds,
+      backoff: waitBackoff
+    });
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update provisioned concurrency: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
     }
+    throw error;
+  }
 }
 
-async function waitForFunctionActive(client, functionName, waitForMinutes = 5) {
+async function waitForProvisionedConcurrencyReady(client, functionName, qualifier, waitForMinutes = 5, options = {}) {
   const MAX_WAIT_MINUTES = 30;
-  
+  const MAX_BACKOFF_DELAY_MS = 60000;
+  const { pollIntervalSeconds = 10, backoff = false } = options;
+
   if (waitForMinutes > MAX_WAIT_MINUTES) {
     waitForMinutes = MAX_WAIT_MINUTES;
     core.info(`Wait time capped to maximum of ${MAX_WAIT_MINUTES} minutes`);
   }
-  
-  core.info(`Waiting for function ${functionName} to become active. Will wait for up to ${waitForMinutes} minutes`);
-  
+
+  core.info(`Waiting for provisioned concurrency of ${functionName}:${qualifier} to be ready. Will wait for up to ${waitForMinutes} minutes`);
+
   const startTime = Date.now();
   const maxWaitTimeMs = waitForMinutes * 60 * 1000;
-  const DELAY_BETWEEN_CHECKS_MS = 5000; 
-  let lastState = null;
-  
+  let delayBetweenChecksMs = pollIntervalSeconds * 1000;
+
   while (Date.now() - startTime < maxWaitTimeMs) {
-    try {
-      const command = new GetFunctionConfigurationCommand({ FunctionName: functionName });
-      const response = await client.send(command);
-      
-      const currentState = response.State;
-      
-      if (currentState !== lastState) {
-        core.info(`Function ${functionName} is in state: ${currentState}`);
-        lastState = currentState;
+    const config = await client.send(new GetProvisionedConcurrencyConfigCommand({
+      FunctionName: functionName,
+      Qualifier: qualifier
+    }));
+
+    if (config.Status === 'READY') {
+      core.info(`Provisioned concurrency of ${functionName}:${qualifier} is ready with ${config.AllocatedProvisionedConcurrentExecutions} allocated executions`);
+      return config;
+    } else if (config.Status === 'FAILED') {
+      throw new Error(`Provisioned concurrency allocation for ${functionName}:${qualifier} failed: ${config.StatusReason || 'Unknown reason'}`);
+    }
+
+    core.info(`Provisioned concurrency of ${functionName}:${qualifier} is ${config.Status}: ${config.AllocatedProvisionedConcurrentExecutions || 0} of ${config.RequestedProvisionedConcurrentExecutions} executions allocated`);
+    await new Promise(resolve => setTimeout(resolve, delayBetweenChecksMs));
+    if (backoff) {
+      delayBetweenChecksMs = Math.min(delayBetweenChecksMs * 2, MAX_BACKOFF_DELAY_MS);
+    }
+  }
+
+  throw new Error(`Timed out waiting for provisioned concurrency of ${functionName}:${qualifier} to be ready after ${waitForMinutes} minutes`);
+}
+
+// Helper functions for smoke testing the deployed code
+async function runSmokeTest(client, params) {
+  const {
+    functionName, qualifier, payload, payloadFile, expected,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+  const isPublishedVersion = qualifier && qualifier !== '$LATEST';
+  const target = isPublishedVersion ? `${functionName}:${qualifier}` : functionName;
+
+  try {
+    let payloadContent;
+    if (payloadFile) {
+      const resolvedPayloadFile = validations.validateAndResolvePath(payloadFile, process.cwd());
+      payloadContent = await fs.readFile(resolvedPayloadFile, 'utf8');
+    } else {
+      payloadContent = JSON.stringify(payload);
+    }
+
+    await waitForFunctionUpdated(client, functionName, waitTimeoutMinutes, {
+      pollIntervalSeconds: waitPollIntervalSeconds,
+      backoff: waitBackoff
+    });
+
+    core.info(`Running smoke test against ${target}`);
+    const response = await client.send(new InvokeCommand({
+      FunctionName: functionName,
+      ...(isPublishedVersion && { Qualifier: qualifier }),
+      Payload: Buffer.from(payloadContent),
+      LogType: 'Tail'
+    }));
+
+    if (response.LogResult) {
+      core.info('Smoke test log tail:');
+      core.info(Buffer.from(response.LogResult, 'base64').toString('utf8'));
+    }
+
+    const responsePayload = response.Payload ? Buffer.from(response.Payload).toString('utf8') : '';
+
+    if (response.FunctionError) {
+      throw new Error(`Invocation of ${target} returned a ${response.FunctionError} error: ${responsePayload}`);
+    }
+
+    if (expected !== undefined) {
+      let actual;
+      try {
+        actual = JSON.parse(responsePayload);
+      } catch (error) {
+        throw new Error(`Response of ${target} is not valid JSON: ${responsePayload}`);
       }
-      
-      if (currentState === 'Active') {
-        core.info(`Function ${functionName} is now active`);
+      if (!matchesJsonSubset(expected, actual)) {
+        throw new Error(`Response of ${target} does not match smoke-test-expect: ${responsePayload}`);
+      }
+    }
+
+    core.info(`Smoke test of ${target} passed with status code ${response.StatusCode}`);
+    return response;
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Smoke test failed: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error;
+  }
+}
+
+// Every value in expected must be present in actual; arrays must match element by element
+function matchesJsonSubset(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length &&
+      expected.every((item, index) => matchesJsonSubset(item, actual[index]));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' && !Array.isArray(actual) &&
+      Object.keys(expected).every(key => matchesJsonSubset(expected[key], actual[key]));
+  }
+  return expected === actual;
+}
+
+// Helper functions for rolling back a failed deployment
+async function captureRollbackState(client, params) {
+  const {
+    functionName, alias, s3Bucket, region,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = params;
+
+  if (alias) {
+    const currentAlias = await getFunctionAlias(client, functionName, alias);
+    if (currentAlias) {
+      core.info(`Recorded alias ${alias} at version ${currentAlias.FunctionVersion} for rollback`);
+      return {
+        functionName,
+        alias,
+        aliasVersion: currentAlias.FunctionVersion,
+        aliasRoutingConfig: currentAlias.RoutingConfig
+      };
+    }
+  }
+
+  const { Configuration, Code } = await client.send(new GetFunctionCommand({ FunctionName: functionName }));
+  const rollbackState = {
+    functionName, codeSha256: Configuration?.CodeSha256, s3Bucket, region,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  };
+
+  if (Code?.ImageUri) {
+    rollbackState.imageUri = Code.ResolvedImageUri || Code.ImageUri;
+  } else if (Code?.Location) {
+    // The function name and region keep the packages of deployments running at the same time apart
+    const suffix = [functionName, region, Date.now()].filter(Boolean).join('-');
+    rollbackState.zipPath = path.join(require('os').tmpdir(), `lambda-rollback-${suffix}.zip`);
+    await downloadFunctionCode(Code.Location, rollbackState.zipPath);
+
+    const downloadedCodeSha256 = await calculateCodeSha256(rollbackState.zipPath);
+    if (downloadedCodeSha256 !== rollbackState.codeSha256) {
+      await removeRollbackPackage(rollbackState);
+      throw new Error(`Downloaded code of ${functionName} does not match its CodeSha256 (expected ${rollbackState.codeSha256}, got ${downloadedCodeSha256})`);
+    }
+  } else {
+    throw new Error(`Unable to record the deployed code of ${functionName} for rollback`);
+  }
+
+  core.info(`Recorded code ${rollbackState.codeSha256} of ${functionName} for rollback`);
+  return rollbackState;
+}
+
+function downloadFunctionCode(location, destinationPath) {
+  return new Promise((resolve, reject) => {
+    https.get(location, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Failed to download function code: HTTP ${response.statusCode}`));
         return;
-      } else if (currentState === 'Failed') {
-        throw new Error(`Function ${functionName} deployment failed with reason: ${response.StateReason || 'Unknown reason'}`);
       }
-      
-      await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_CHECKS_MS));
+
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        fs.writeFile(destinationPath, Buffer.concat(chunks)).then(resolve, reject);
+      });
+    }).on('error', reject);
+  });
+}
+
+// Always throws, with rolledBack set on the error to tell whether the previous deployment was restored
+async function rollbackDeployment(client, rollbackState, failure) {
+  const {
+    functionName, alias, aliasVersion, aliasRoutingConfig,
+    codeSha256, imageUri, zipPath, s3Bucket, region,
+    waitTimeoutMinutes, waitPollIntervalSeconds, waitBackoff
+  } = rollbackState;
+  const waitOptions = { pollIntervalSeconds: waitPollIntervalSeconds, backoff: waitBackoff };
+
+  core.warning(`Deployment of ${functionName} failed, rolling back: ${failure.message}`);
+
+  let restored;
+  try {
+    if (aliasVersion) {
+      await client.send(new UpdateAliasCommand({
+        FunctionName: functionName,
+        Name: alias,
+        FunctionVersion: aliasVersion,
+        RoutingConfig: aliasRoutingConfig || { AdditionalVersionWeights: {} }
+      }));
+      restored = `alias ${alias} restored to version ${aliasVersion}`;
+    } else {
+      // A code update may still be in progress when the failure happened
+      await waitForFunctionUpdated(client, functionName, waitTimeoutMinutes, waitOptions);
+
+      let codeInput;
+      if (imageUri) {
+        codeInput = { FunctionName: functionName, ImageUri: imageUri };
+      } else if (s3Bucket) {
+        const s3Key = generateS3Key(functionName);
+        await uploadToS3(zipPath, s3Bucket, s3Key, region);
+        codeInput = { FunctionName: functionName, S3Bucket: s3Bucket, S3Key: s3Key };
+      } else {
+        codeInput = { FunctionName: functionName, ZipFile: await fs.readFile(zipPath) };
+      }
+
+      await client.send(new UpdateFunctionCodeCommand(codeInput));
+      await waitForFunctionUpdated(client, functionName, waitTimeoutMinutes, waitOptions);
+      restored = `code restored to CodeSha256 ${codeSha256}`;
+    }
+  } catch (rollbackError) {
+    if (rollbackError.stack) {
+      core.debug(rollbackError.stack);
+    }
+    throw Object.assign(
+      new Error(`Deployment of ${functionName} failed and the rollback also failed. Deployment error: ${failure.message}. Rollback error: ${rollbackError.message}`),
+      { rolledBack: false }
+    );
+  } finally {
+    await removeRollbackPackage(rollbackState);
+  }
+
+  core.info('Rollback report:');
+  core.info(`  Failure: ${failure.message}`);
+  core.info(`  Rolled back: ${restored}`);
+  setDeploymentOutput('rolled-back', 'true');
+
+  throw Object.assign(
+    new Error(`Deployment of ${functionName} failed and was rolled back (${restored}): ${failure.message}`),
+    { rolledBack: true }
+  );
+}
+
+async function removeRollbackPackage(rollbackState) {
+  if (rollbackState?.zipPath) {
+    await fs.rm(rollbackState.zipPath, { force: true });
+  }
+}
+
+// Helper functions for resolving secret references in environment variables
+const SSM_REFERENCE_PREFIX = 'ssm:';
+const SECRETS_MANAGER_REFERENCE_PREFIX = 'secretsmanager:';
+
+function isSecretReference(value) {
+  return typeof value === 'string' &&
+    (value.startsWith(SSM_REFERENCE_PREFIX) || value.startsWith(SECRETS_MANAGER_REFERENCE_PREFIX));
+}
+
+// Clients can be passed in to point the lookups at a different endpoint or a stub
+async function resolveSecretReferences(variables, options = {}) {
+  const references = Object.entries(variables || {}).filter(([, value]) => isSecretReference(value));
+  if (references.length === 0) {
+    return variables;
+  }
+
+  const { region } = options;
+  let { ssmClient, secretsManagerClient } = options;
+  const customUserAgent = `LambdaGitHubAction/${version}`;
+  const resolvedValues = new Map();
+  const resolvedVariables = { ...variables };
+
+  for (const [name, reference] of references) {
+    try {
+      if (!resolvedValues.has(reference)) {
+        let value;
+        if (reference.startsWith(SSM_REFERENCE_PREFIX)) {
+          ssmClient = ssmClient || new SSMClient({ region, customUserAgent });
+          value = await getParameterValue(ssmClient, reference.slice(SSM_REFERENCE_PREFIX.length));
+        } else {
+          secretsManagerClient = secretsManagerClient || new SecretsManagerClient({ region, customUserAgent });
+          value = await getSecretValue(secretsManagerClient, reference.slice(SECRETS_MANAGER_REFERENCE_PREFIX.length));
+        }
+        if (value) {
+          core.setSecret(value);
+        }
+        resolvedValues.set(reference, value);
+      }
+
+      resolvedVariables[name] = resolvedValues.get(reference);
+      core.info(`Resolved environment variable ${name} from ${reference}`);
     } catch (error) {
-      if (error.name === 'ResourceNotFoundException') {
-        throw new Error(`Function ${functionName} not found`);
-      } else if (error.$metadata && error.$metadata.httpStatusCode === 403) {
-        throw new Error(`Permission denied while checking function ${functionName} status`);
+      if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+        core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+      } else if (error.$metadata?.httpStatusCode >= 500) {
+        core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+      } else if (error.name === 'AccessDeniedException') {
+        core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
       } else {
-        core.warning(`Function status check error: ${error.message}`);
-        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_CHECKS_MS));
+        core.setFailed(`Failed to resolve environment variable ${name} from ${reference}: ${error.message}`);
+      }
+
+      if (error.stack) {
+        core.debug(error.stack);
+      }
+      throw error;
+    }
+  }
+
+  return resolvedVariables;
+}
+
+async function getParameterValue(ssmClient, parameterName) {
+  const response = await ssmClient.send(new GetParameterCommand({ Name: parameterName, WithDecryption: true }));
+  return response.Parameter?.Value;
+}
+
+// Secret references look like secretsmanager:<secret-id>[#<json-field>]
+async function getSecretValue(secretsManagerClient, secretReference) {
+  const separatorIndex = secretReference.lastIndexOf('#');
+  const secretId = separatorIndex === -1 ? secretReference : secretReference.slice(0, separatorIndex);
+  const field = separatorIndex === -1 ? undefined : secretReference.slice(separatorIndex + 1);
+
+  const response = await secretsManagerClient.send(new GetSecretValueCommand({ SecretId: secretId }));
+  if (response.SecretString === undefined) {
+    throw new Error(`Secret ${secretId} has no string value`);
+  }
+  if (!field) {
+    return response.SecretString;
+  }
+
+  let secretJson;
+  try {
+    secretJson = JSON.parse(response.SecretString);
+  } catch (error) {
+    throw new Error(`Secret ${secretId} is not a JSON object, so field ${field} cannot be read`);
+  }
+  if (secretJson === null || typeof secretJson !== 'object' || !(field in secretJson)) {
+    throw new Error(`Secret ${secretId} has no field ${field}`);
+  }
+
+  // Non-string fields are stored as their JSON text
+  const value = secretJson[field];
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Helper function for combining the environment inputs with the deployed variables
+function resolveEnvironmentVariables(currentVariables, params) {
+  const { environmentMode = 'replace', parsedEnvironment, environmentRemove = [] } = params;
+
+  if (environmentMode === 'replace') {
+    return parsedEnvironment;
+  }
+
+  const variables = { ...currentVariables, ...parsedEnvironment };
+  for (const name of environmentRemove) {
+    if (name in variables) {
+      delete variables[name];
+      core.info(`Removing environment variable ${name}`);
+    }
+  }
+
+  core.info(`Merged ${Object.keys(parsedEnvironment || {}).length} environment variables into ${Object.keys(currentVariables || {}).length} existing variables`);
+  return variables;
+}
+
+// Helper functions for managing the function URL
+async function updateFunctionUrlConfig(client, functionName, urlConfig) {
+  const qualifier = urlConfig?.Qualifier;
+  const target = qualifier ? `${functionName}:${qualifier}` : functionName;
+
+  try {
+    const currentUrlConfig = await getFunctionUrlConfig(client, functionName, qualifier);
+
+    if (urlConfig === null || urlConfig.Remove) {
+      if (currentUrlConfig) {
+        await client.send(new DeleteFunctionUrlConfigCommand({
+          FunctionName: functionName,
+          ...(qualifier && { Qualifier: qualifier })
+        }));
+        core.info(`Removed function URL ${currentUrlConfig.FunctionUrl} of ${target}`);
+      } else {
+        core.info(`Function ${target} has no function URL`);
       }
+      return null;
+    }
+
+    // Lambda leaves Cors unchanged when it is omitted, so an empty object is sent to clear it
+    const desiredUrlConfig = {
+      AuthType: urlConfig.AuthType,
+      Cors: urlConfig.Cors || {},
+      InvokeMode: urlConfig.InvokeMode || 'BUFFERED'
+    };
+    const input = {
+      FunctionName: functionName,
+      ...(qualifier && { Qualifier: qualifier }),
+      ...desiredUrlConfig
+    };
+
+    let response;
+    if (!currentUrlConfig) {
+      core.info(`Creating function URL for ${target}`);
+      response = await client.send(new CreateFunctionUrlConfigCommand(input));
+    } else if (deepEqual({
+      AuthType: currentUrlConfig.AuthType,
+      Cors: currentUrlConfig.Cors || {},
+      InvokeMode: currentUrlConfig.InvokeMode || 'BUFFERED'
+    }, desiredUrlConfig)) {
+      core.info(`Function URL of ${target} is up to date`);
+      response = currentUrlConfig;
+    } else {
+      core.info(`Updating function URL of ${target}`);
+      response = await client.send(new UpdateFunctionUrlConfigCommand(input));
+    }
+
+    core.info(`Function URL: ${response.FunctionUrl}`);
+    setDeploymentOutput('function-url', response.FunctionUrl);
+    return response;
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
+    } else {
+      core.setFailed(`Failed to update function URL of ${target}: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
     }
+    throw error;
   }
-  
-  throw new Error(`Timed out waiting for function ${functionName} to become active after ${waitForMinutes} minutes`);
 }
 
-// Helper functions for updating Lambda function configuration
-async function updateFunctionConfiguration(client, params) {
-  const {
-    functionName, role, handler, functionDescription, parsedMemorySize,
-    timeout, runtime, kmsKeyArn, ephemeralStorage, vpcConfig,
-    parsedEnvironment, deadLetterConfig, tracingConfig, layers,
-    fileSystemConfigs, imageConfig, snapStart, loggingConfig,
-    parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig,
-    parsedLayers, parsedFileSystemConfigs, parsedImageConfig,
-    parsedSnapStart, parsedLoggingConfig
-  } = params;
-
+async function getFunctionUrlConfig(client, functionName, qualifier) {
   try {
-    const input = {
+    return await client.send(new GetFunctionUrlConfigCommand({
       FunctionName: functionName,
-      ...(role && { Role: role }),
-      ...(handler && { Handler: handler }),
-      ...(functionDescription && { Description: functionDescription }),
-      ...(parsedMemorySize && { MemorySize: parsedMemorySize }),
-      ...(timeout && { Timeout: timeout }),
-      ...(runtime && { Runtime: runtime }),
-      ...(kmsKeyArn && { KMSKeyArn: kmsKeyArn }),
-      ...(ephemeralStorage && { EphemeralStorage: { Size: ephemeralStorage } }),
-      ...(vpcConfig && { VpcConfig: parsedVpcConfig }),
-      Environment: { Variables: parsedEnvironment },
-      ...(deadLetterConfig && { DeadLetterConfig: parsedDeadLetterConfig }),
-      ...(tracingConfig && { TracingConfig: parsedTracingConfig }),
-      ...(layers && { Layers: parsedLayers }),
-      ...(fileSystemConfigs && { FileSystemConfigs: parsedFileSystemConfigs }),
-      ...(imageConfig && { ImageConfig: parsedImageConfig }),
-      ...(snapStart && { SnapStart: parsedSnapStart }),
-      ...(loggingConfig && { LoggingConfig: parsedLoggingConfig })
-    };
+      ...(qualifier && { Qualifier: qualifier })
+    }));
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
 
-    core.info(`Updating function configuration for ${functionName}`);
-    const command = new UpdateFunctionConfigurationCommand(input);
-    await client.send(command);
-    await waitForFunctionUpdated(client, functionName);
+// Helper functions for synchronizing tags
+async function updateFunctionTags(client, functionArn, tags, tagsMode = 'add-only') {
+  try {
+    const { Tags: currentTags = {} } = await client.send(new ListTagsCommand({ Resource: functionArn }));
+    const { tagsToAdd, tagsToRemove } = getTagChanges(currentTags, tags, tagsMode);
+
+    if (Object.keys(tagsToAdd).length > 0) {
+      core.info(`Setting tags: ${Object.keys(tagsToAdd).join(', ')}`);
+      await client.send(new TagResourceCommand({ Resource: functionArn, Tags: tagsToAdd }));
+    }
+    if (tagsToRemove.length > 0) {
+      core.info(`Removing tags: ${tagsToRemove.join(', ')}`);
+      await client.send(new UntagResourceCommand({ Resource: functionArn, TagKeys: tagsToRemove }));
+    }
+    if (Object.keys(tagsToAdd).length === 0 && tagsToRemove.length === 0) {
+      core.info('Tags are up to date');
+    }
+
+    return { added: Object.keys(tagsToAdd), removed: tagsToRemove };
   } catch (error) {
     if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
       core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
@@ -515,139 +2330,270 @@ async function updateFunctionConfiguration(client, params) {
     } else if (error.name === 'AccessDeniedException') {
       core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
     } else {
-      core.setFailed(`Failed to update function configuration: ${error.message}`);
+      core.setFailed(`Failed to update tags: ${error.message}`);
     }
-    
+
     if (error.stack) {
       core.debug(error.stack);
     }
-    throw error; 
+    throw error;
   }
 }
 
-async function waitForFunctionUpdated(client, functionName, waitForMinutes = 5) {
-  const MAX_WAIT_MINUTES = 30;
-  
-  if (waitForMinutes > MAX_WAIT_MINUTES) {
-    waitForMinutes = MAX_WAIT_MINUTES;
-    core.info(`Wait time capped to maximum of ${MAX_WAIT_MINUTES} minutes`);
+// Returns the tags to set and the tag keys to remove so the function ends up with the desired tags
+function getTagChanges(currentTags, tags, tagsMode = 'add-only') {
+  const tagsToAdd = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (currentTags[key] !== String(value)) {
+      tagsToAdd[key] = String(value);
+    }
   }
-  
-  core.info(`Waiting for function update to complete. Will wait for ${waitForMinutes} minutes`);
-  
+
+  // Tags with the aws: prefix are managed by AWS and cannot be removed
+  const tagsToRemove = tagsMode === 'exact'
+    ? Object.keys(currentTags).filter(key => !(key in tags) && !key.startsWith('aws:'))
+    : [];
+
+  return { tagsToAdd, tagsToRemove };
+}
+
+// Helper functions for managing asynchronous invocation configuration
+async function updateEventInvokeConfig(client, functionName, invokeConfig) {
+  const qualifier = invokeConfig.Qualifier;
+  const target = qualifier ? `${functionName}:${qualifier}` : functionName;
+
   try {
-    await waitUntilFunctionUpdated({
-      client: client,
-      minDelay: 2, 
-      maxWaitTime: waitForMinutes * 60, 
-    }, {
-      FunctionName: functionName
-    });
-    
-    core.info('Function update completed successfully');
+    const desiredInvokeConfig = normalizeEventInvokeConfig(invokeConfig);
+    const currentInvokeConfig = await getEventInvokeConfig(client, functionName, qualifier);
+
+    if (currentInvokeConfig && deepEqual(normalizeEventInvokeConfig(currentInvokeConfig), desiredInvokeConfig)) {
+      core.info(`Asynchronous invocation configuration of ${target} is up to date`);
+      return currentInvokeConfig;
+    }
+
+    core.info(`Updating asynchronous invocation configuration of ${target}`);
+    return await client.send(new PutFunctionEventInvokeConfigCommand({
+      FunctionName: functionName,
+      ...(qualifier && { Qualifier: qualifier }),
+      ...(invokeConfig.MaximumRetryAttempts !== undefined && { MaximumRetryAttempts: invokeConfig.MaximumRetryAttempts }),
+      ...(invokeConfig.MaximumEventAgeInSeconds !== undefined && { MaximumEventAgeInSeconds: invokeConfig.MaximumEventAgeInSeconds }),
+      ...(invokeConfig.DestinationConfig && { DestinationConfig: invokeConfig.DestinationConfig })
+    }));
   } catch (error) {
-    if (error.name === 'TimeoutError') {
-      throw new Error(`Timed out waiting for function ${functionName} update to complete after ${waitForMinutes} minutes`);
-    } else if (error.name === 'ResourceNotFoundException') {
-      throw new Error(`Function ${functionName} not found`);
-    } else if (error.$metadata && error.$metadata.httpStatusCode === 403) {
-      throw new Error(`Permission denied while checking function ${functionName} status`);
-    } else if (error.message && error.message.includes("currently in the following state: 'Pending'")) {
-      core.warning(`Function ${functionName} is in 'Pending' state. Waiting for it to become active...`);
-      await waitForFunctionActive(client, functionName, waitForMinutes);
-      core.info(`Function ${functionName} is now active`);
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
     } else {
-      core.warning(`Function update check error: ${error.message}`);
-      throw new Error(`Error waiting for function ${functionName} update: ${error.message}`);
+      core.setFailed(`Failed to update asynchronous invocation configuration of ${target}: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
     }
+    throw error;
   }
 }
 
-// Helper function for updating Lambda function code
-async function updateFunctionCode(client, params) {
-  const {
-    functionName, finalZipPath, useS3Method, s3Bucket, s3Key,
-    codeArtifactsDir, architectures, publish, revisionId,
-    sourceKmsKeyArn, dryRun, region
-  } = params;
-
-  core.info(`Updating function code for ${functionName} with ${finalZipPath}`);
-  
+async function getEventInvokeConfig(client, functionName, qualifier) {
   try {
-    const commonCodeParams = {
+    return await client.send(new GetFunctionEventInvokeConfigCommand({
       FunctionName: functionName,
-      ...(architectures && { Architectures: Array.isArray(architectures) ? architectures : [architectures] }),
-      ...(publish !== undefined && { Publish: publish }),
-      ...(revisionId && { RevisionId: revisionId }),
-      ...(sourceKmsKeyArn && { SourceKmsKeyArn: sourceKmsKeyArn })
-    };
-    
-    let codeInput;
-    
-    if (useS3Method) {
-      core.info(`Using S3 deployment method with bucket: ${s3Bucket}, key: ${s3Key}`);
+      ...(qualifier && { Qualifier: qualifier })
+    }));
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
 
-      await uploadToS3(finalZipPath, s3Bucket, s3Key, region);
-      core.info(`Successfully uploaded package to S3: s3://${s3Bucket}/${s3Key}`);
-      
-      codeInput = {
-        ...commonCodeParams,
-        S3Bucket: s3Bucket,
-        S3Key: s3Key
-      };
-    } else {
-      let zipFileContent;
-      
-      try {
-        zipFileContent = await fs.readFile(finalZipPath);
-      } catch (error) {
-        core.setFailed(`Failed to read Lambda deployment package at ${finalZipPath}: ${error.message}`);
+// PutFunctionEventInvokeConfig replaces the whole configuration, so omitted settings
+// are compared as Lambda's defaults: 2 retries, 6 hours event age and no destinations
+function normalizeEventInvokeConfig(invokeConfig) {
+  return {
+    MaximumRetryAttempts: invokeConfig.MaximumRetryAttempts ?? 2,
+    MaximumEventAgeInSeconds: invokeConfig.MaximumEventAgeInSeconds ?? 21600,
+    OnSuccess: invokeConfig.DestinationConfig?.OnSuccess?.Destination || null,
+    OnFailure: invokeConfig.DestinationConfig?.OnFailure?.Destination || null
+  };
+}
 
-        if (error.code === 'ENOENT') {
-          core.error(`File not found. Ensure the code artifacts directory "${codeArtifactsDir}" contains the required files.`);
-        } else if (error.code === 'EACCES') {
-          core.error('Permission denied. Check file access permissions.');
-        }
-        
-        if (error.stack) {
-          core.debug(error.stack);
-        }
-        
-        throw error;
+// Helper functions for managing event source mappings
+async function updateEventSourceMappings(client, params) {
+  const { functionName, qualifier, mappings, deleteUnmanaged = false } = params;
+  const target = qualifier ? `${functionName}:${qualifier}` : functionName;
+  const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+
+  try {
+    const currentMappings = await listEventSourceMappings(client, target, qualifier);
+    const unmanagedMappings = [...currentMappings];
+
+    for (const mapping of mappings) {
+      const index = unmanagedMappings.findIndex(current => current.EventSourceArn === mapping.EventSourceArn);
+      if (index === -1) {
+        core.info(`Creating event source mapping for ${mapping.EventSourceArn}`);
+        await client.send(new CreateEventSourceMappingCommand({
+          FunctionName: target,
+          ...mapping
+        }));
+        summary.created++;
+        continue;
       }
-      
-      codeInput = {
-        ...commonCodeParams,
-        ZipFile: zipFileContent
-      };
-      
-      core.info(`Original buffer length: ${zipFileContent.length} bytes`);
+
+      const [currentMapping] = unmanagedMappings.splice(index, 1);
+      const changes = getEventSourceMappingChanges(currentMapping, mapping);
+      if (Object.keys(changes).length === 0) {
+        core.info(`Event source mapping ${currentMapping.UUID} for ${mapping.EventSourceArn} is up to date`);
+        summary.unchanged++;
+        continue;
+      }
+
+      core.info(`Updating ${Object.keys(changes).join(', ')} of event source mapping ${currentMapping.UUID} for ${mapping.EventSourceArn}`);
+      await client.send(new UpdateEventSourceMappingCommand({
+        UUID: currentMapping.UUID,
+        ...changes
+      }));
+      summary.updated++;
     }
-          
-    if (dryRun) {
-      core.info(`[DRY RUN] Performing dry-run function code update with parameters:`);
-      const logInput = {...codeInput};
-      if (logInput.ZipFile) {
-        logInput.ZipFile = `<Binary data of length ${logInput.ZipFile.length} bytes>`;
+
+    for (const unmanagedMapping of unmanagedMappings) {
+      if (deleteUnmanaged) {
+        core.info(`Deleting unmanaged event source mapping ${unmanagedMapping.UUID} for ${unmanagedMapping.EventSourceArn}`);
+        await client.send(new DeleteEventSourceMappingCommand({ UUID: unmanagedMapping.UUID }));
+        summary.deleted++;
+      } else {
+        core.info(`Leaving unmanaged event source mapping ${unmanagedMapping.UUID} for ${unmanagedMapping.EventSourceArn}`);
       }
-      core.info(JSON.stringify(logInput, null, 2));
-      codeInput.DryRun = true;
-      
-      const command = new UpdateFunctionCodeCommand(codeInput);
-      const response = await client.send(command);
-      
-      core.info('[DRY RUN] Function code validation passed');
-      core.setOutput('function-arn', response.FunctionArn || `arn:aws:lambda:${region}:000000000000:function:${functionName}`);
-      core.setOutput('version', response.Version || '$LATEST');
-      core.info('[DRY RUN] Function code update simulation completed');
+    }
+
+    core.info(`Event source mappings of ${target}: ${summary.created} created, ${summary.updated} updated, ${summary.deleted} deleted, ${summary.unchanged} unchanged`);
+    return summary;
+  } catch (error) {
+    if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
+      core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
+    } else if (error.$metadata?.httpStatusCode >= 500) {
+      core.setFailed(`Server error (${error.$metadata?.httpStatusCode}): ${error.message}. All retry attempts failed.`);
+    } else if (error.name === 'AccessDeniedException') {
+      core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
     } else {
-      const command = new UpdateFunctionCodeCommand(codeInput);
-      const response = await client.send(command);
-      core.setOutput('function-arn', response.FunctionArn);
-      if (response.Version) {
-        core.setOutput('version', response.Version);
+      core.setFailed(`Failed to update event source mappings of ${target}: ${error.message}`);
+    }
+
+    if (error.stack) {
+      core.debug(error.stack);
+    }
+    throw error;
+  }
+}
+
+// Lists the mappings attached to exactly this function or qualifier, following pagination
+async function listEventSourceMappings(client, target, qualifier) {
+  const mappings = [];
+  let marker;
+
+  do {
+    const response = await client.send(new ListEventSourceMappingsCommand({
+      FunctionName: target,
+      ...(marker && { Marker: marker })
+    }));
+    mappings.push(...(response.EventSourceMappings || []));
+    marker = response.NextMarker;
+  } while (marker);
+
+  // The qualifier is the eighth field of a qualified function ARN, unqualified ARNs have none
+  return mappings.filter(mapping => (mapping.FunctionArn?.split(':')[7] || '') === (qualifier || ''));
+}
+
+// Only the settings present in the desired mapping are compared, so omitted
+// settings keep their deployed values. StartingPosition can only be set on create.
+function getEventSourceMappingChanges(currentMapping, desiredMapping) {
+  const changes = {};
+
+  if (desiredMapping.Enabled !== undefined) {
+    const currentlyEnabled = !['Disabled', 'Disabling'].includes(currentMapping.State);
+    if (desiredMapping.Enabled !== currentlyEnabled) {
+      changes.Enabled = desiredMapping.Enabled;
+    }
+  }
+
+  for (const key of ['BatchSize', 'MaximumBatchingWindowInSeconds']) {
+    if (desiredMapping[key] !== undefined && desiredMapping[key] !== currentMapping[key]) {
+      changes[key] = desiredMapping[key];
+    }
+  }
+
+  if (desiredMapping.FilterCriteria !== undefined &&
+    !deepEqual(desiredMapping.FilterCriteria.Filters, currentMapping.FilterCriteria?.Filters || [])) {
+    changes.FilterCriteria = desiredMapping.FilterCriteria;
+  }
+
+  return changes;
+}
+
+// Helper functions for managing the resource-based policy
+async function updateFunctionPermissions(client, params) {
+  const { functionName, permissions, sidPrefix } = params;
+  const summary = { added: 0, replaced: 0, removed: 0, unchanged: 0 };
+
+  try {
+    // The unqualified policy and the policy of every alias are always reconciled, so that statements
+    // whose Qualifier was removed from the input are cleaned up as well
+    const aliases = await listFunctionAliases(client, functionName);
+    const qualifiers = [...new Set([undefined, ...aliases, ...permissions.map(permission => permission.Qualifier)])];
+
+    for (const qualifier of qualifiers) {
+      const target = qualifier ? `${functionName}:${qualifier}` : functionName;
+      const currentStatements = await getFunctionPolicyStatements(client, functionName, qualifier);
+      const desiredPermissions = permissions.filter(permission => permission.Qualifier === qualifier);
+      const desiredSids = desiredPermissions.map(permission => `${sidPrefix}${permission.StatementId}`);
+
+      for (const statement of currentStatements) {
+        if (statement.Sid?.startsWith(sidPrefix) && !desiredSids.includes(statement.Sid)) {
+          core.info(`Removing stale permission ${statement.Sid} from ${target}`);
+          await removeFunctionPermission(client, functionName, qualifier, statement.Sid);
+          summary.removed++;
+        }
+      }
+
+      for (const permission of desiredPermissions) {
+        const sid = `${sidPrefix}${permission.StatementId}`;
+        const currentStatement = currentStatements.find(statement => statement.Sid === sid);
+
+        if (currentStatement) {
+          if (deepEqual(normalizePolicyStatement(currentStatement), normalizePermission(permission))) {
+            core.info(`Permission ${sid} of ${target} is up to date`);
+            summary.unchanged++;
+            continue;
+          }
+          // Statements cannot be modified in place
+          core.info(`Replacing permission ${sid} of ${target}`);
+          await removeFunctionPermission(client, functionName, qualifier, sid);
+          summary.replaced++;
+        } else {
+          core.info(`Adding permission ${sid} to ${target}`);
+          summary.added++;
+        }
+
+        await client.send(new AddPermissionCommand({
+          FunctionName: functionName,
+          StatementId: sid,
+          Action: permission.Action || 'lambda:InvokeFunction',
+          Principal: permission.Principal,
+          ...(qualifier && { Qualifier: qualifier }),
+          ...(permission.SourceArn && { SourceArn: permission.SourceArn }),
+          ...(permission.SourceAccount && { SourceAccount: permission.SourceAccount }),
+          ...(permission.PrincipalOrgID && { PrincipalOrgID: permission.PrincipalOrgID }),
+          ...(permission.FunctionUrlAuthType && { FunctionUrlAuthType: permission.FunctionUrlAuthType })
+        }));
       }
     }
+
+    core.info(`Permissions of ${functionName}: ${summary.added} added, ${summary.replaced} replaced, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+    return summary;
   } catch (error) {
     if (error.name === 'ThrottlingException' || error.name === 'TooManyRequestsException' || error.$metadata?.httpStatusCode === 429) {
       core.setFailed(`Rate limit exceeded and maximum retries reached: ${error.message}`);
@@ -656,9 +2602,9 @@ async function updateFunctionCode(client, params) {
     } else if (error.name === 'AccessDeniedException') {
       core.setFailed(`Action failed with error: Permissions error: ${error.message}. Check IAM roles.`);
     } else {
-      core.setFailed(`Failed to update function code: ${error.message}`);
+      core.setFailed(`Failed to update permissions of ${functionName}: ${error.message}`);
     }
-    
+
     if (error.stack) {
       core.debug(error.stack);
     }
@@ -666,36 +2612,90 @@ async function updateFunctionCode(client, params) {
   }
 }
 
+// Lists the alias names of the function, following pagination
+async function listFunctionAliases(client, functionName) {
+  const aliases = [];
+  let marker;
+
+  do {
+    const response = await client.send(new ListAliasesCommand({
+      FunctionName: functionName,
+      ...(marker && { Marker: marker })
+    }));
+    aliases.push(...(response.Aliases || []).map(alias => alias.Name));
+    marker = response.NextMarker;
+  } while (marker);
+
+  return aliases;
+}
+
+async function getFunctionPolicyStatements(client, functionName, qualifier) {
+  try {
+    const response = await client.send(new GetPolicyCommand({
+      FunctionName: functionName,
+      ...(qualifier && { Qualifier: qualifier })
+    }));
+    return JSON.parse(response.Policy).Statement || [];
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function removeFunctionPermission(client, functionName, qualifier, sid) {
+  await client.send(new RemovePermissionCommand({
+    FunctionName: functionName,
+    StatementId: sid,
+    ...(qualifier && { Qualifier: qualifier })
+  }));
+}
+
+// Converts a policy statement into the AddPermission fields it was created from
+function normalizePolicyStatement(statement) {
+  const principal = statement.Principal === '*' ? '*' : statement.Principal?.Service || statement.Principal?.AWS;
+  const stringEquals = statement.Condition?.StringEquals || {};
+
+  return cleanNullKeys({
+    Principal: /^arn:aws[a-z-]*:iam::[0-9]{12}:root$/.test(principal) ? principal.split(':')[4] : principal,
+    Action: statement.Action,
+    SourceArn: statement.Condition?.ArnLike?.['AWS:SourceArn'],
+    SourceAccount: stringEquals['AWS:SourceAccount'],
+    PrincipalOrgID: stringEquals['aws:PrincipalOrgID'],
+    FunctionUrlAuthType: stringEquals['lambda:FunctionUrlAuthType']
+  }) || {};
+}
+
+function normalizePermission(permission) {
+  return cleanNullKeys({
+    Principal: permission.Principal,
+    Action: permission.Action || 'lambda:InvokeFunction',
+    SourceArn: permission.SourceArn,
+    SourceAccount: permission.SourceAccount,
+    PrincipalOrgID: permission.PrincipalOrgID,
+    FunctionUrlAuthType: permission.FunctionUrlAuthType
+  }) || {};
+}
+
 // Helper functions for checking if configuration has changed
 async function hasConfigurationChanged(currentConfig, updatedConfig) {
   if (!currentConfig || Object.keys(currentConfig).length === 0) {
     return true;
   }
 
-  const cleanedUpdated = cleanNullKeys(updatedConfig) || {};
-  let hasChanged = false;
-  
-  for (const [key, value] of Object.entries(cleanedUpdated)) {
-    if (value !== undefined) {
-      if (!(key in currentConfig)) {
-        core.info(`Configuration difference detected in ${key}`);
-        hasChanged = true;
-        continue;
-      }
-      
-      if (typeof value === 'object' && value !== null) {
-        if (!deepEqual(currentConfig[key] || {}, value)) {
-          core.info(`Configuration difference detected in ${key}`);
-          hasChanged = true;
-        }
-      } else if (currentConfig[key] !== value) {
-        core.info(`Configuration difference detected in ${key}: ${currentConfig[key]} -> ${value}`);
-        hasChanged = true;
-      }
+  const changes = getConfigurationChanges(currentConfig, updatedConfig);
+
+  if (changes.length > 0) {
+    core.startGroup(`Configuration differences (${changes.length})`);
+    for (const { field, current, desired } of changes) {
+      core.info(`Configuration difference detected in ${field}: ${JSON.stringify(current)} -> ${JSON.stringify(desired)}`);
     }
+    core.endGroup();
   }
+  setDeploymentOutput('config-diff', JSON.stringify(changes));
 
-  return hasChanged;
+  return changes.length > 0;
 }
 
 function isEmptyValue(value) {
@@ -1114,9 +3114,24 @@ if (require.main === module) {
 
 module.exports = {
   run,
+  deployFunction,
+  deployManifest,
+  deployRegions,
+  mapWithConcurrency,
+  planFunctionDeployment,
+  getDesiredConfiguration,
+  getConfigurationChanges,
+  normalizeConfiguration,
   packageCodeArtifacts,
+  resolvePackagePath,
+  readLambdaIgnore,
+  resolveArtifactFiles,
+  addReproducibleEntries,
+  calculateCodeSha256,
   checkFunctionExists,
   hasConfigurationChanged,
+  resolveEnvironmentVariables,
+  resolveSecretReferences,
   waitForFunctionUpdated,
   waitForFunctionActive,
   isEmptyValue,
@@ -1130,5 +3145,34 @@ module.exports = {
   createFunction,
   updateFunctionConfiguration,
   updateFunctionCode,
+  publishUnchangedCode,
+  waitForCodeUpdate,
+  waitForPublishedVersionActive,
+  updateFunctionAlias,
+  getFunctionAlias,
+  getTrafficShiftWeights,
+  shiftAliasTraffic,
+  waitForTrafficShiftStep,
+  updateReservedConcurrency,
+  updateFunctionTags,
+  getTagChanges,
+  updateProvisionedConcurrency,
+  waitForProvisionedConcurrencyReady,
+  updateFunctionUrlConfig,
+  getFunctionUrlConfig,
+  updateEventInvokeConfig,
+  getEventInvokeConfig,
+  updateEventSourceMappings,
+  listEventSourceMappings,
+  getEventSourceMappingChanges,
+  updateFunctionPermissions,
+  getFunctionPolicyStatements,
+  listFunctionAliases,
+  normalizePolicyStatement,
+  runSmokeTest,
+  matchesJsonSubset,
+  captureRollbackState,
+  downloadFunctionCode,
+  rollbackDeployment,
   getAwsAccountId
 };
@@ -1,15 +1,48 @@
 const core = require('@actions/core');
+const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+
+// Manifest entries and region overrides replace the action inputs of the deployment
+// they apply to, and {region} in any input is replaced with the region being deployed
+let inputOverrides = {};
+let inputRegion;
+
+function getInput(name, options) {
+  let value;
+  if (Object.prototype.hasOwnProperty.call(inputOverrides, name)) {
+    const override = inputOverrides[name];
+    if (override === null || override === undefined) {
+      value = '';
+    } else {
+      value = typeof override === 'object' ? JSON.stringify(override) : String(override);
+    }
+  } else {
+    value = core.getInput(name, options);
+  }
+  return inputRegion && typeof value === 'string' ? value.replaceAll('{region}', inputRegion) : value;
+}
+
+function getBooleanInput(name, options) {
+  if (Object.prototype.hasOwnProperty.call(inputOverrides, name)) {
+    const value = String(inputOverrides[name]).toLowerCase();
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    throw new TypeError(`Input ${name} must be true or false, got: ${inputOverrides[name]}`);
+  }
+  return core.getBooleanInput(name, options);
+}
 
 function validateNumericInputs() {
-  const ephemeralStorageInput = core.getInput('ephemeral-storage', { required: false });
+  const ephemeralStorageInput = getInput('ephemeral-storage', { required: false });
   const ephemeralStorage = parseInt(ephemeralStorageInput);
   if (ephemeralStorageInput && isNaN(ephemeralStorage)) {
     core.setFailed(`Ephemeral storage must be a number, got: ${ephemeralStorageInput}`);
     return { valid: false };
   }
 
-  const memorySize = core.getInput('memory-size', { required: false });
+  const memorySize = getInput('memory-size', { required: false });
   let parsedMemorySize;
   if (memorySize !== '') {
     parsedMemorySize = parseInt(memorySize);
@@ -19,54 +52,133 @@ function validateNumericInputs() {
     }
   }
 
-  const timeoutInput = core.getInput('timeout', { required: false });
+  const timeoutInput = getInput('timeout', { required: false });
   const timeout = parseInt(timeoutInput);
   if (timeoutInput && isNaN(timeout)) {
     core.setFailed(`Timeout must be a number, got: ${timeoutInput}`);
     return { valid: false };
   }
 
+  const waitTimeoutInput = getInput('wait-timeout-minutes', { required: false });
+  let waitTimeoutMinutes;
+  if (waitTimeoutInput) {
+    waitTimeoutMinutes = Number(waitTimeoutInput);
+    if (!Number.isInteger(waitTimeoutMinutes) || waitTimeoutMinutes < 1) {
+      core.setFailed(`Wait timeout must be a positive whole number of minutes, got: ${waitTimeoutInput}`);
+      return { valid: false };
+    }
+  }
+
+  const waitPollIntervalInput = getInput('wait-poll-interval-seconds', { required: false });
+  let waitPollIntervalSeconds;
+  if (waitPollIntervalInput) {
+    waitPollIntervalSeconds = Number(waitPollIntervalInput);
+    if (!Number.isInteger(waitPollIntervalSeconds) || waitPollIntervalSeconds < 1) {
+      core.setFailed(`Wait poll interval must be a positive whole number of seconds, got: ${waitPollIntervalInput}`);
+      return { valid: false };
+    }
+    // The wait timeout defaults to 5 minutes and is capped at 30
+    const waitTimeoutSeconds = Math.min(waitTimeoutMinutes || 5, 30) * 60;
+    if (waitPollIntervalSeconds >= waitTimeoutSeconds) {
+      core.setFailed(`Wait poll interval must be less than the wait timeout of ${waitTimeoutSeconds} seconds, got: ${waitPollIntervalSeconds}`);
+      return { valid: false };
+    }
+  }
+
+  // 'none' removes the reserved concurrency of the function
+  const reservedConcurrencyInput = getInput('reserved-concurrency', { required: false });
+  let parsedReservedConcurrency;
+  if (reservedConcurrencyInput === 'none') {
+    parsedReservedConcurrency = null;
+  } else if (reservedConcurrencyInput) {
+    parsedReservedConcurrency = Number(reservedConcurrencyInput);
+    if (!Number.isInteger(parsedReservedConcurrency) || parsedReservedConcurrency < 0) {
+      core.setFailed(`Reserved concurrency must be a whole number or 'none', got: ${reservedConcurrencyInput}`);
+      return { valid: false };
+    }
+  }
+
+  const provisionedConcurrencyInput = getInput('provisioned-concurrency', { required: false });
+  let parsedProvisionedConcurrency;
+  if (provisionedConcurrencyInput) {
+    parsedProvisionedConcurrency = Number(provisionedConcurrencyInput);
+    if (!Number.isInteger(parsedProvisionedConcurrency) || parsedProvisionedConcurrency < 1) {
+      core.setFailed(`Provisioned concurrency must be a positive whole number, got: ${provisionedConcurrencyInput}`);
+      return { valid: false };
+    }
+  }
+
   return { 
     valid: true, 
     ephemeralStorage, 
     parsedMemorySize, 
-    timeout 
+    timeout,
+    waitTimeoutMinutes,
+    waitPollIntervalSeconds,
+    parsedReservedConcurrency,
+    parsedProvisionedConcurrency
   };
 }
 
 function validateRequiredInputs() {
-  const functionName = core.getInput('function-name', { required: true });
+  const functionName = getInput('function-name', { required: true });
   if (!functionName) {
     core.setFailed('Function name must be provided');
     return { valid: false };
   }
 
-  const codeArtifactsDir = core.getInput('code-artifacts-dir');
-  if (!codeArtifactsDir) {
-    core.setFailed('Code-artifacts-dir must be provided');
+  const codeArtifactsDir = getInput('code-artifacts-dir');
+  const packagePath = getInput('package-path', { required: false });
+  const imageUri = getInput('image-uri', { required: false });
+  const codeSources = [codeArtifactsDir, packagePath, imageUri].filter(Boolean);
+  if (codeSources.length === 0) {
+    core.setFailed('Code-artifacts-dir, package-path or image-uri must be provided');
+    return { valid: false };
+  }
+  if (codeSources.length > 1) {
+    core.setFailed('Only one of code-artifacts-dir, package-path and image-uri can be provided');
     return { valid: false };
   }
 
-  let handler = core.getInput('handler', { required: true });
+  if (imageUri) {
+    if (!validateImageUri(imageUri)) {
+      return { valid: false };
+    }
+
+    // Handler and runtime are defined by the container image
+    return {
+      valid: true,
+      functionName,
+      codeArtifactsDir,
+      packagePath,
+      imageUri,
+      handler: undefined,
+      runtime: undefined
+    };
+  }
+
+  let handler = getInput('handler', { required: false });
   handler = handler || 'index.handler'; 
   
-  let runtime = core.getInput('runtime', { required: true });
+  let runtime = getInput('runtime', { required: false });
   runtime = runtime || 'node20js.x'; 
 
   return { 
     valid: true, 
     functionName, 
     codeArtifactsDir,
+    packagePath,
+    imageUri,
     handler,
     runtime
   };
 }
 
 function validateArnInputs() {
-  const role = core.getInput('role', { required: false });
-  const codeSigningConfigArn = core.getInput('code-signing-config-arn', { required: false });
-  const kmsKeyArn = core.getInput('kms-key-arn', { required: false });
-  const sourceKmsKeyArn = core.getInput('source-kms-key-arn', { required: false });
+  const role = getInput('role', { required: false });
+  const codeSigningConfigArn = getInput('code-signing-config-arn', { required: false });
+  const kmsKeyArn = getInput('kms-key-arn', { required: false });
+  const sourceKmsKeyArn = getInput('source-kms-key-arn', { required: false });
   
   if (role && !validateRoleArn(role)) {
     return { valid: false };
@@ -94,25 +206,37 @@ function validateArnInputs() {
 }
 
 function validateJsonInputs() {
-  const environment = core.getInput('environment', { required: false });
-  const vpcConfig = core.getInput('vpc-config', { required: false });
-  const deadLetterConfig = core.getInput('dead-letter-config', { required: false });
-  const tracingConfig = core.getInput('tracing-config', { required: false });
-  const layers = core.getInput('layers', { required: false });
-  const fileSystemConfigs = core.getInput('file-system-configs', { required: false });
-  const imageConfig = core.getInput('image-config', { required: false });
-  const snapStart = core.getInput('snap-start', { required: false });
-  const loggingConfig = core.getInput('logging-config', { required: false });
-  const tags = core.getInput('tags', { required: false });
+  const environment = getInput('environment', { required: false });
+  const environmentFile = getInput('environment-file', { required: false });
+  const vpcConfig = getInput('vpc-config', { required: false });
+  const deadLetterConfig = getInput('dead-letter-config', { required: false });
+  const tracingConfig = getInput('tracing-config', { required: false });
+  const layers = getInput('layers', { required: false });
+  const fileSystemConfigs = getInput('file-system-configs', { required: false });
+  const imageConfig = getInput('image-config', { required: false });
+  const snapStart = getInput('snap-start', { required: false });
+  const loggingConfig = getInput('logging-config', { required: false });
+  const tags = getInput('tags', { required: false });
+  const functionUrlConfig = getInput('function-url-config', { required: false });
+  const eventSourceMappings = getInput('event-source-mappings', { required: false });
+  const permissions = getInput('permissions', { required: false });
+  const eventInvokeConfig = getInput('event-invoke-config', { required: false });
   
   let parsedEnvironment, parsedVpcConfig, parsedDeadLetterConfig, parsedTracingConfig,
     parsedLayers, parsedFileSystemConfigs, parsedImageConfig, parsedSnapStart,
-    parsedLoggingConfig, parsedTags;
+    parsedLoggingConfig, parsedTags, parsedFunctionUrlConfig, parsedEventSourceMappings,
+    parsedPermissions, parsedEventInvokeConfig;
 
   try {
     if (environment) {
       parsedEnvironment = parseJsonInput(environment, 'environment');
     }
+
+    // Variables from the environment input take precedence over the file
+    if (environmentFile) {
+      const fileEnvironment = parseEnvironmentFile(readEnvironmentFile(environmentFile));
+      parsedEnvironment = { ...fileEnvironment, ...parsedEnvironment };
+    }
     
     if (vpcConfig) {
       parsedVpcConfig = parseJsonInput(vpcConfig, 'vpc-config');
@@ -177,6 +301,36 @@ function validateJsonInputs() {
       if (typeof parsedTags !== 'object' || Array.isArray(parsedTags)) {
         throw new Error("tags must be an object of key-value pairs");
       }
+      const systemTags = Object.keys(parsedTags).filter(key => key.startsWith('aws:'));
+      if (systemTags.length > 0) {
+        throw new Error(`tags cannot use the reserved aws: prefix: ${systemTags.join(', ')}`);
+      }
+    }
+
+    // 'none' removes the function URL, and 'none:<alias>' removes the function URL of an alias
+    if (functionUrlConfig === 'none') {
+      parsedFunctionUrlConfig = null;
+    } else if (functionUrlConfig.startsWith('none:')) {
+      parsedFunctionUrlConfig = { Qualifier: functionUrlConfig.slice('none:'.length), Remove: true };
+      validateFunctionUrlQualifier(parsedFunctionUrlConfig.Qualifier);
+    } else if (functionUrlConfig) {
+      parsedFunctionUrlConfig = parseJsonInput(functionUrlConfig, 'function-url-config');
+      validateFunctionUrlConfig(parsedFunctionUrlConfig);
+    }
+
+    if (eventSourceMappings) {
+      parsedEventSourceMappings = parseJsonInput(eventSourceMappings, 'event-source-mappings');
+      validateEventSourceMappings(parsedEventSourceMappings);
+    }
+
+    if (permissions) {
+      parsedPermissions = parseJsonInput(permissions, 'permissions');
+      validatePermissions(parsedPermissions);
+    }
+
+    if (eventInvokeConfig) {
+      parsedEventInvokeConfig = parseJsonInput(eventInvokeConfig, 'event-invoke-config');
+      validateEventInvokeConfig(parsedEventInvokeConfig);
     }
   } catch (error) {
     core.setFailed(`Input validation error: ${error.message}`);
@@ -186,6 +340,7 @@ function validateJsonInputs() {
   return {
     valid: true,
     environment,
+    environmentFile,
     vpcConfig,
     deadLetterConfig,
     tracingConfig,
@@ -195,6 +350,10 @@ function validateJsonInputs() {
     snapStart,
     loggingConfig,
     tags,
+    functionUrlConfig,
+    eventSourceMappings,
+    permissions,
+    eventInvokeConfig,
     parsedEnvironment,
     parsedVpcConfig,
     parsedDeadLetterConfig,
@@ -204,21 +363,42 @@ function validateJsonInputs() {
     parsedImageConfig, 
     parsedSnapStart,
     parsedLoggingConfig,
-    parsedTags
+    parsedTags,
+    parsedFunctionUrlConfig,
+    parsedEventSourceMappings,
+    parsedPermissions,
+    parsedEventInvokeConfig
   };
 }
 
 function getAdditionalInputs() {
-  const functionDescription = core.getInput('function-description', { required: false });
-  const dryRun = core.getBooleanInput('dry-run', { required: false }) || false;
+  const functionDescription = getInput('function-description', { required: false });
+  const dryRun = getBooleanInput('dry-run', { required: false }) || false;
+  const plan = getBooleanInput('plan', { required: false }) || false;
   let publish = false;
-  const revisionId = core.getInput('revision-id', { required: false });
-  const architectures = core.getInput('architectures', { required: false });
-  const s3Bucket = core.getInput('s3-bucket', { required: false });
-  let s3Key = core.getInput('s3-key', { required: false });
+  const revisionId = getInput('revision-id', { required: false });
+  const architectures = getInput('architectures', { required: false });
+  const s3Bucket = getInput('s3-bucket', { required: false });
+  let s3Key = getInput('s3-key', { required: false });
+  const include = parseListInput(getInput('include', { required: false }));
+  const exclude = parseListInput(getInput('exclude', { required: false }));
+  const reproducibleZip = getBooleanInput('reproducible-zip', { required: false }) || false;
+  const forceCodeUpdate = getBooleanInput('force-code-update', { required: false }) || false;
+  const alias = getInput('alias', { required: false });
+  const aliasDescription = getInput('alias-description', { required: false });
+  const trafficShift = getInput('traffic-shift', { required: false });
+  const rollbackOnFailure = getBooleanInput('rollback-on-failure', { required: false }) || false;
+  const smokeTestPayload = getInput('smoke-test-payload', { required: false });
+  const smokeTestExpect = getInput('smoke-test-expect', { required: false });
+  const environmentMode = getInput('environment-mode', { required: false }) || 'replace';
+  const waitBackoff = getBooleanInput('wait-backoff', { required: false }) || false;
+  const environmentRemove = parseListInput(getInput('environment-remove', { required: false }));
+  const deleteUnmanagedEventSourceMappings = getBooleanInput('event-source-mappings-delete-unmanaged', { required: false }) || false;
+  const permissionsSidPrefix = getInput('permissions-sid-prefix', { required: false }) || 'lambda-deploy-';
+  const tagsMode = getInput('tags-mode', { required: false }) || 'add-only';
 
   try {
-    publish = core.getBooleanInput('publish', { required: false });
+    publish = getBooleanInput('publish', { required: false });
   } catch (error) {
     publish = false;
   }
@@ -228,15 +408,226 @@ function getAdditionalInputs() {
   return {
     functionDescription,
     dryRun,
+    plan,
     publish,
     revisionId,
     architectures,
     s3Bucket,
     s3Key,
-    useS3Method
+    useS3Method,
+    include,
+    exclude,
+    reproducibleZip,
+    forceCodeUpdate,
+    alias,
+    aliasDescription,
+    trafficShift,
+    rollbackOnFailure,
+    smokeTestPayload,
+    smokeTestExpect,
+    environmentMode,
+    environmentRemove,
+    waitBackoff,
+    deleteUnmanagedEventSourceMappings,
+    permissionsSidPrefix,
+    tagsMode
+  };
+}
+
+// Parses '<canary|linear>:<percentage>%:<interval>' where interval is a number with an
+// optional s, m or h unit (seconds by default), e.g. canary:10%:5m or linear:25%:2m
+function parseTrafficShift(trafficShift) {
+  const match = /^(canary|linear):(\d+(?:\.\d+)?)%:(\d+)([smh]?)$/.exec(trafficShift.trim());
+  if (!match) {
+    throw new Error(`traffic-shift must look like 'canary:10%:5m' or 'linear:25%:2m', got: ${trafficShift}`);
+  }
+
+  const [, type, percentageInput, intervalInput, unit] = match;
+  const percentage = parseFloat(percentageInput);
+  if (percentage <= 0 || percentage >= 100) {
+    throw new Error(`traffic-shift percentage must be greater than 0 and less than 100, got: ${percentageInput}%`);
+  }
+
+  const unitSeconds = { s: 1, m: 60, h: 3600 }[unit || 's'];
+  return {
+    type,
+    percentage,
+    intervalSeconds: parseInt(intervalInput) * unitSeconds
   };
 }
 
+function validateFunctionUrlConfig(urlConfig) {
+  if (typeof urlConfig !== 'object' || urlConfig === null || Array.isArray(urlConfig)) {
+    throw new Error('function-url-config must be an object');
+  }
+
+  const unknownKeys = Object.keys(urlConfig).filter(key => !['AuthType', 'Cors', 'InvokeMode', 'Qualifier'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`function-url-config has unsupported keys: ${unknownKeys.join(', ')}`);
+  }
+  if (!['NONE', 'AWS_IAM'].includes(urlConfig.AuthType)) {
+    throw new Error(`function-url-config AuthType must be 'NONE' or 'AWS_IAM'`);
+  }
+  if (urlConfig.InvokeMode !== undefined && !['BUFFERED', 'RESPONSE_STREAM'].includes(urlConfig.InvokeMode)) {
+    throw new Error(`function-url-config InvokeMode must be 'BUFFERED' or 'RESPONSE_STREAM'`);
+  }
+  if (urlConfig.Cors !== undefined && (typeof urlConfig.Cors !== 'object' || urlConfig.Cors === null || Array.isArray(urlConfig.Cors))) {
+    throw new Error('function-url-config Cors must be an object');
+  }
+  if (urlConfig.Qualifier !== undefined) {
+    validateFunctionUrlQualifier(urlConfig.Qualifier);
+  }
+}
+
+function validateFunctionUrlQualifier(qualifier) {
+  if (typeof qualifier !== 'string' || !qualifier || /^[0-9]+$/.test(qualifier)) {
+    throw new Error('function-url-config Qualifier must be an alias name or $LATEST');
+  }
+}
+
+function validateEventSourceMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('event-source-mappings must be an array of mappings');
+  }
+
+  const allowedKeys = ['EventSourceArn', 'Enabled', 'BatchSize', 'MaximumBatchingWindowInSeconds', 'FilterCriteria', 'StartingPosition'];
+  const eventSourceArns = new Set();
+
+  for (const mapping of mappings) {
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+      throw new Error('Each event-source-mapping must be an object');
+    }
+    if (typeof mapping.EventSourceArn !== 'string' || !mapping.EventSourceArn.startsWith('arn:')) {
+      throw new Error(`Each event-source-mapping must include 'EventSourceArn'`);
+    }
+
+    const name = mapping.EventSourceArn;
+    if (eventSourceArns.has(name)) {
+      throw new Error(`event-source-mappings lists ${name} more than once`);
+    }
+    eventSourceArns.add(name);
+
+    const unknownKeys = Object.keys(mapping).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`event-source-mapping ${name} has unsupported keys: ${unknownKeys.join(', ')}`);
+    }
+    if (mapping.Enabled !== undefined && typeof mapping.Enabled !== 'boolean') {
+      throw new Error(`event-source-mapping ${name} Enabled must be true or false`);
+    }
+    if (mapping.BatchSize !== undefined && (!Number.isInteger(mapping.BatchSize) || mapping.BatchSize < 1)) {
+      throw new Error(`event-source-mapping ${name} BatchSize must be a positive integer`);
+    }
+    if (mapping.MaximumBatchingWindowInSeconds !== undefined &&
+      (!Number.isInteger(mapping.MaximumBatchingWindowInSeconds) || mapping.MaximumBatchingWindowInSeconds < 0 || mapping.MaximumBatchingWindowInSeconds > 300)) {
+      throw new Error(`event-source-mapping ${name} MaximumBatchingWindowInSeconds must be an integer between 0 and 300`);
+    }
+    if (mapping.FilterCriteria !== undefined && !Array.isArray(mapping.FilterCriteria?.Filters)) {
+      throw new Error(`event-source-mapping ${name} FilterCriteria must include 'Filters' as an array`);
+    }
+    if (mapping.StartingPosition !== undefined && !['TRIM_HORIZON', 'LATEST'].includes(mapping.StartingPosition)) {
+      throw new Error(`event-source-mapping ${name} StartingPosition must be 'TRIM_HORIZON' or 'LATEST'`);
+    }
+  }
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw new Error('permissions must be an array of statements');
+  }
+
+  const allowedKeys = ['StatementId', 'Principal', 'Action', 'SourceArn', 'SourceAccount', 'PrincipalOrgID', 'FunctionUrlAuthType', 'Qualifier'];
+  const statementIds = new Set();
+
+  for (const permission of permissions) {
+    if (typeof permission !== 'object' || permission === null || Array.isArray(permission)) {
+      throw new Error('Each permission must be an object');
+    }
+    if (typeof permission.StatementId !== 'string' || !/^[a-zA-Z0-9-_]{1,64}$/.test(permission.StatementId)) {
+      throw new Error(`Each permission must include a 'StatementId' of 1-64 letters, numbers, hyphens or underscores`);
+    }
+
+    const name = permission.StatementId;
+    const qualifiedName = permission.Qualifier ? `${name} (${permission.Qualifier})` : name;
+    if (statementIds.has(qualifiedName)) {
+      throw new Error(`permissions lists ${qualifiedName} more than once`);
+    }
+    statementIds.add(qualifiedName);
+
+    const unknownKeys = Object.keys(permission).filter(key => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`permission ${name} has unsupported keys: ${unknownKeys.join(', ')}`);
+    }
+    if (typeof permission.Principal !== 'string' || !permission.Principal) {
+      throw new Error(`permission ${name} must include 'Principal'`);
+    }
+    if (permission.Action !== undefined && (typeof permission.Action !== 'string' || !permission.Action.startsWith('lambda:'))) {
+      throw new Error(`permission ${name} Action must be a lambda: action`);
+    }
+    if (permission.SourceAccount !== undefined && !/^[0-9]{12}$/.test(permission.SourceAccount)) {
+      throw new Error(`permission ${name} SourceAccount must be a 12-digit account ID`);
+    }
+    if (permission.FunctionUrlAuthType !== undefined && !['NONE', 'AWS_IAM'].includes(permission.FunctionUrlAuthType)) {
+      throw new Error(`permission ${name} FunctionUrlAuthType must be 'NONE' or 'AWS_IAM'`);
+    }
+    if (permission.Qualifier !== undefined && (typeof permission.Qualifier !== 'string' || !/^[a-zA-Z0-9-_$]+$/.test(permission.Qualifier))) {
+      throw new Error(`permission ${name} Qualifier must be an alias name or version`);
+    }
+  }
+}
+
+function validateEventInvokeConfig(invokeConfig) {
+  if (typeof invokeConfig !== 'object' || invokeConfig === null || Array.isArray(invokeConfig)) {
+    throw new Error('event-invoke-config must be an object');
+  }
+
+  const unknownKeys = Object.keys(invokeConfig).filter(key => !['MaximumRetryAttempts', 'MaximumEventAgeInSeconds', 'DestinationConfig', 'Qualifier'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`event-invoke-config has unsupported keys: ${unknownKeys.join(', ')}`);
+  }
+  if (invokeConfig.MaximumRetryAttempts !== undefined &&
+    (!Number.isInteger(invokeConfig.MaximumRetryAttempts) || invokeConfig.MaximumRetryAttempts < 0 || invokeConfig.MaximumRetryAttempts > 2)) {
+    throw new Error('event-invoke-config MaximumRetryAttempts must be an integer between 0 and 2');
+  }
+  if (invokeConfig.MaximumEventAgeInSeconds !== undefined &&
+    (!Number.isInteger(invokeConfig.MaximumEventAgeInSeconds) || invokeConfig.MaximumEventAgeInSeconds < 60 || invokeConfig.MaximumEventAgeInSeconds > 21600)) {
+    throw new Error('event-invoke-config MaximumEventAgeInSeconds must be an integer between 60 and 21600');
+  }
+  if (invokeConfig.Qualifier !== undefined && (typeof invokeConfig.Qualifier !== 'string' || !/^[a-zA-Z0-9-_$]+$/.test(invokeConfig.Qualifier))) {
+    throw new Error('event-invoke-config Qualifier must be an alias name or version');
+  }
+
+  const destinationConfig = invokeConfig.DestinationConfig;
+  if (destinationConfig === undefined) {
+    return;
+  }
+  if (typeof destinationConfig !== 'object' || destinationConfig === null || Array.isArray(destinationConfig)) {
+    throw new Error('event-invoke-config DestinationConfig must be an object');
+  }
+
+  const unknownDestinations = Object.keys(destinationConfig).filter(key => !['OnSuccess', 'OnFailure'].includes(key));
+  if (unknownDestinations.length > 0) {
+    throw new Error(`event-invoke-config DestinationConfig has unsupported keys: ${unknownDestinations.join(', ')}`);
+  }
+
+  // Destinations can be SQS queues, SNS topics, Lambda functions, EventBridge event buses or S3 buckets
+  const destinationPattern = /^arn:aws(-[a-z0-9-]+)?:(sqs|sns|lambda|events|s3):[a-z0-9-]*:([0-9]{12})?:.+$/;
+  for (const [condition, destination] of Object.entries(destinationConfig)) {
+    if (!destinationPattern.test(destination?.Destination)) {
+      throw new Error(`event-invoke-config DestinationConfig ${condition} must include a 'Destination' ARN of an SQS queue, SNS topic, Lambda function, EventBridge event bus or S3 bucket`);
+    }
+  }
+}
+
+function parseListInput(listString) {
+  if (!listString) {
+    return [];
+  }
+  return listString
+    .split(/\r?\n/)
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
 function parseJsonInput(jsonString, inputName) {
   try {
     return JSON.parse(jsonString);
@@ -245,6 +636,227 @@ function parseJsonInput(jsonString, inputName) {
   }
 }
 
+function validateManifestInputs() {
+  const manifest = core.getInput('manifest', { required: false });
+  if (!manifest) {
+    return { valid: true };
+  }
+
+  const parallelismInput = core.getInput('manifest-parallelism', { required: false });
+  const manifestParallelism = parallelismInput ? Number(parallelismInput) : 4;
+  if (!Number.isInteger(manifestParallelism) || manifestParallelism < 1) {
+    core.setFailed(`manifest-parallelism must be a positive integer, got: ${parallelismInput}`);
+    return { valid: false };
+  }
+
+  try {
+    return {
+      valid: true,
+      manifest,
+      manifestParallelism,
+      manifestFunctions: readManifest(manifest)
+    };
+  } catch (error) {
+    core.setFailed(`Input validation error: ${error.message}`);
+    return { valid: false };
+  }
+}
+
+// Inputs that build the package, which is shared by every region
+const PACKAGE_INPUTS = ['code-artifacts-dir', 'package-path', 'include', 'exclude', 'reproducible-zip'];
+
+function validateRegionInputs() {
+  const regionsInput = core.getInput('regions', { required: false });
+  if (!regionsInput) {
+    return { valid: true };
+  }
+
+  const regionFailurePolicy = core.getInput('region-failure-policy', { required: false }) || 'atomic';
+  if (!['atomic', 'best-effort'].includes(regionFailurePolicy)) {
+    core.setFailed(`region-failure-policy must be atomic or best-effort, got: ${regionFailurePolicy}`);
+    return { valid: false };
+  }
+  if (core.getInput('manifest', { required: false })) {
+    core.setFailed('regions cannot be combined with manifest');
+    return { valid: false };
+  }
+
+  try {
+    return {
+      valid: true,
+      regions: parseRegions(regionsInput),
+      regionFailurePolicy
+    };
+  } catch (error) {
+    core.setFailed(`Input validation error: ${error.message}`);
+    return { valid: false };
+  }
+}
+
+// Parses a newline-separated list of regions, or a JSON object that maps each
+// region to the action inputs it overrides, e.g. {"eu-west-1": {"s3-bucket": "artifacts-eu"}}
+function parseRegions(regionsInput) {
+  const trimmedInput = regionsInput.trim();
+  const regionEntries = trimmedInput.startsWith('{')
+    ? Object.entries(parseJsonInput(trimmedInput, 'regions'))
+    : parseListInput(trimmedInput).map(region => [region, {}]);
+
+  const regions = [];
+  for (const [region, overrides] of regionEntries) {
+    if (!/^[a-z]{2}(-[a-z]+)+-[0-9]+$/.test(region)) {
+      throw new Error(`regions contains an invalid region name: ${region}`);
+    }
+    if (regions.some(entry => entry.region === region)) {
+      throw new Error(`regions lists ${region} more than once`);
+    }
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+      throw new Error(`regions entry ${region} must be an object of action inputs`);
+    }
+
+    const unsupportedKeys = Object.keys(overrides).filter(key =>
+      PACKAGE_INPUTS.includes(key) || key.startsWith('region') || key.startsWith('manifest'));
+    if (unsupportedKeys.length > 0) {
+      throw new Error(`regions entry ${region} cannot set ${unsupportedKeys.join(', ')}`);
+    }
+    regions.push({ region, overrides });
+  }
+
+  if (regions.length === 0) {
+    throw new Error('regions must list at least one region');
+  }
+  return regions;
+}
+
+// Reads a YAML or JSON manifest that lists functions under 'functions'. Each entry
+// uses the action input names, e.g. function-name, code-artifacts-dir and handler.
+function readManifest(manifest) {
+  const resolvedPath = validateAndResolvePath(manifest, process.cwd());
+  let content;
+  try {
+    content = fs.readFileSync(resolvedPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read manifest ${manifest}: ${error.message}`);
+  }
+
+  let parsedManifest;
+  try {
+    parsedManifest = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid YAML in manifest ${manifest}: ${error.message}`);
+  }
+
+  const functions = parsedManifest?.functions;
+  if (!Array.isArray(functions) || functions.length === 0) {
+    throw new Error(`manifest ${manifest} must list at least one function under 'functions'`);
+  }
+
+  const functionNames = new Set();
+  for (const [index, entry] of functions.entries()) {
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      throw new Error(`manifest entry ${index + 1} must be an object of action inputs`);
+    }
+    const functionName = entry['function-name'];
+    if (typeof functionName !== 'string' || !functionName) {
+      throw new Error(`manifest entry ${index + 1} must include 'function-name'`);
+    }
+    if (functionNames.has(functionName)) {
+      throw new Error(`manifest lists ${functionName} more than once`);
+    }
+    functionNames.add(functionName);
+
+    const manifestKeys = Object.keys(entry).filter(key => key.startsWith('manifest'));
+    if (manifestKeys.length > 0) {
+      throw new Error(`manifest entry ${functionName} cannot set ${manifestKeys.join(', ')}`);
+    }
+  }
+
+  return functions;
+}
+
+function readEnvironmentFile(environmentFile) {
+  const resolvedPath = validateAndResolvePath(environmentFile, process.cwd());
+  try {
+    return fs.readFileSync(resolvedPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read environment-file ${environmentFile}: ${error.message}`);
+  }
+}
+
+// Parses dotenv syntax: KEY=value lines with optional 'export', # comments,
+// single quotes (literal), double quotes (escapes and multi-line values) and
+// ${VAR} references to the runner environment in unquoted and double-quoted values
+function parseEnvironmentFile(content, env = process.env) {
+  const interpolate = (name) => {
+    if (env[name] === undefined) {
+      core.warning(`environment-file references ${name}, which is not set in the runner environment`);
+      return '';
+    }
+    return env[name];
+  };
+
+  const variables = {};
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = lines[index].trimStart();
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      throw new Error(`environment-file line ${lineNumber} is not a valid KEY=VALUE assignment`);
+    }
+
+    const [, key, rawValue] = match;
+    const quote = rawValue[0];
+
+    if (quote !== '"' && quote !== '\'') {
+      variables[key] = rawValue
+        .replace(/\s+#.*$/, '')
+        .trim()
+        .replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (reference, name) => interpolate(name));
+      continue;
+    }
+
+    let quotedValue = rawValue.slice(1);
+    let closingIndex = findClosingQuote(quotedValue, quote);
+    while (closingIndex === -1) {
+      index++;
+      if (index >= lines.length) {
+        throw new Error(`environment-file line ${lineNumber} has an unterminated ${quote} quoted value`);
+      }
+      quotedValue += `\n${lines[index]}`;
+      closingIndex = findClosingQuote(quotedValue, quote);
+    }
+
+    const trailing = quotedValue.slice(closingIndex + 1).trim();
+    if (trailing && !trailing.startsWith('#')) {
+      throw new Error(`environment-file line ${lineNumber} has unexpected characters after the closing quote`);
+    }
+
+    const value = quotedValue.slice(0, closingIndex);
+    variables[key] = quote === '\'' ? value : value.replace(
+      /\\([nrt"\\$])|\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g,
+      (sequence, escaped, name) => name ? interpolate(name) : ({ n: '\n', r: '\r', t: '\t' })[escaped] || escaped
+    );
+  }
+
+  return variables;
+}
+
+function findClosingQuote(value, quote) {
+  for (let index = 0; index < value.length; index++) {
+    if (quote === '"' && value[index] === '\\') {
+      index++;
+    } else if (value[index] === quote) {
+      return index;
+    }
+  }
+  return -1;
+}
+
 function validateRoleArn(arn) {
   const rolePattern = /^arn:aws(-[a-z0-9-]+)?:iam::[0-9]{12}:role\/[a-zA-Z0-9+=,.@_\/-]+$/;
   
@@ -275,6 +887,26 @@ function validateKmsKeyArn(arn) {
   return true;
 }
 
+function validateImageUri(imageUri) {
+  const imageUriPattern = /^[0-9]{12}\.dkr\.ecr\.[a-z0-9-]+\.amazonaws\.com(\.cn)?\/[a-z0-9._/-]+(:[a-zA-Z0-9._-]+|@sha256:[a-f0-9]{64})$/;
+
+  if (!imageUriPattern.test(imageUri)) {
+    core.setFailed(`Invalid Amazon ECR image URI format: ${imageUri}`);
+    return false;
+  }
+  return true;
+}
+
+function validateAliasName(alias) {
+  const aliasPattern = /^(?!^[0-9]+$)[a-zA-Z0-9-_]{1,128}$/;
+
+  if (!aliasPattern.test(alias)) {
+    core.setFailed(`Invalid alias name: ${alias}. Alias names must be 1-128 letters, numbers, hyphens or underscores and cannot be only numbers.`);
+    return false;
+  }
+  return true;
+}
+
 function validateAndResolvePath(userPath, basePath) {
   const normalizedPath = path.normalize(userPath);
   const resolvedPath = path.isAbsolute(normalizedPath) ? normalizedPath : path.resolve(basePath, normalizedPath);
@@ -289,7 +921,18 @@ function validateAndResolvePath(userPath, basePath) {
   return resolvedPath;
 }
 
-function validateAllInputs() {
+function validateAllInputs(overrides = {}, region) {
+  inputOverrides = overrides;
+  inputRegion = region;
+  try {
+    return validateFunctionInputs();
+  } finally {
+    inputOverrides = {};
+    inputRegion = undefined;
+  }
+}
+
+function validateFunctionInputs() {
   const requiredInputs = validateRequiredInputs();
   if (!requiredInputs.valid) {
     return { valid: false };
@@ -311,6 +954,98 @@ function validateAllInputs() {
   }
   
   const additionalInputs = getAdditionalInputs();
+
+  if (additionalInputs.alias) {
+    if (!validateAliasName(additionalInputs.alias)) {
+      return { valid: false };
+    }
+    if (!additionalInputs.publish) {
+      core.setFailed('alias requires publish to be true so the alias can point to a published version');
+      return { valid: false };
+    }
+  }
+
+  // Allocations on published versions would pile up with every deployment, the alias moves them along
+  if (numericInputs.parsedProvisionedConcurrency && !additionalInputs.alias) {
+    core.setFailed('provisioned-concurrency requires alias so it is configured on the alias instead of on each published version');
+    return { valid: false };
+  }
+
+  if (additionalInputs.trafficShift) {
+    if (!additionalInputs.alias) {
+      core.setFailed('traffic-shift requires an alias');
+      return { valid: false };
+    }
+    try {
+      additionalInputs.parsedTrafficShift = parseTrafficShift(additionalInputs.trafficShift);
+    } catch (error) {
+      core.setFailed(`Input validation error: ${error.message}`);
+      return { valid: false };
+    }
+  }
+
+  if (!['replace', 'merge', 'merge-remove'].includes(additionalInputs.environmentMode)) {
+    core.setFailed(`environment-mode must be one of replace, merge or merge-remove, got: ${additionalInputs.environmentMode}`);
+    return { valid: false };
+  }
+
+  if (additionalInputs.plan && additionalInputs.dryRun) {
+    core.setFailed('plan and dry-run cannot be used together');
+    return { valid: false };
+  }
+
+  if (!['add-only', 'exact'].includes(additionalInputs.tagsMode)) {
+    core.setFailed(`tags-mode must be add-only or exact, got: ${additionalInputs.tagsMode}`);
+    return { valid: false };
+  }
+
+  if (additionalInputs.environmentRemove.length > 0) {
+    if (additionalInputs.environmentMode !== 'merge-remove') {
+      core.setFailed('environment-remove requires environment-mode to be merge-remove');
+      return { valid: false };
+    }
+    const conflictingNames = additionalInputs.environmentRemove.filter(name => jsonInputs.parsedEnvironment?.[name] !== undefined);
+    if (conflictingNames.length > 0) {
+      core.setFailed(`environment-remove lists variables that are also set in environment: ${conflictingNames.join(', ')}`);
+      return { valid: false };
+    }
+  }
+
+  if (additionalInputs.deleteUnmanagedEventSourceMappings && !jsonInputs.parsedEventSourceMappings) {
+    core.setFailed('event-source-mappings-delete-unmanaged requires event-source-mappings');
+    return { valid: false };
+  }
+
+  if (!/^[a-zA-Z0-9-_]{1,36}$/.test(additionalInputs.permissionsSidPrefix)) {
+    core.setFailed(`permissions-sid-prefix must be 1-36 letters, numbers, hyphens or underscores, got: ${additionalInputs.permissionsSidPrefix}`);
+    return { valid: false };
+  }
+
+  if (additionalInputs.smokeTestExpect && !additionalInputs.smokeTestPayload) {
+    core.setFailed('smoke-test-expect requires smoke-test-payload');
+    return { valid: false };
+  }
+
+  try {
+    const trimmedPayload = (additionalInputs.smokeTestPayload || '').trim();
+    if (trimmedPayload.startsWith('{') || trimmedPayload.startsWith('[')) {
+      additionalInputs.parsedSmokeTestPayload = parseJsonInput(trimmedPayload, 'smoke-test-payload');
+    } else if (trimmedPayload) {
+      additionalInputs.smokeTestPayloadFile = trimmedPayload;
+    }
+    if (additionalInputs.smokeTestExpect) {
+      additionalInputs.parsedSmokeTestExpect = parseJsonInput(additionalInputs.smokeTestExpect, 'smoke-test-expect');
+    }
+  } catch (error) {
+    core.setFailed(`Input validation error: ${error.message}`);
+    return { valid: false };
+  }
+
+  if (jsonInputs.imageConfig && !requiredInputs.imageUri) {
+    core.warning('image-config only applies to container image functions and is ignored without image-uri');
+    jsonInputs.imageConfig = undefined;
+    jsonInputs.parsedImageConfig = undefined;
+  }
   
   return {
     valid: true,
@@ -324,10 +1059,23 @@ function validateAllInputs() {
 
 module.exports = {
   validateAllInputs,
+  validateManifestInputs,
+  validateRegionInputs,
+  parseRegions,
+  readManifest,
   parseJsonInput,
+  parseListInput,
+  parseEnvironmentFile,
+  parseTrafficShift,
   validateRoleArn,
   validateCodeSigningConfigArn,
   validateKmsKeyArn,
+  validateImageUri,
+  validateAliasName,
+  validateFunctionUrlConfig,
+  validateEventSourceMappings,
+  validatePermissions,
+  validateEventInvokeConfig,
   validateAndResolvePath,
   getAdditionalInputs
 };